@@ -0,0 +1,149 @@
+import { ApprovalPolicy } from "./approval.js";
+
+/**
+ * Check which tool calls the approval policy rules approve without asking:
+ * tool and server matching, argument patterns and calls with arguments a rule
+ * does not list
+ *
+ * Usage: npm run approval-conformance
+ */
+
+const failures: string[] = [];
+let checks = 0;
+
+function expect(description: string, actual: unknown, expected: unknown) {
+  checks++;
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    failures.push(
+      `${description}: expected ${JSON.stringify(
+        expected
+      )}, got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+// Index of the approving rule for each call's arguments, or -1
+function match(
+  policy: ApprovalPolicy,
+  tool: string,
+  calls: Record<string, unknown>[],
+  server = "weather"
+): number[] {
+  return calls.map((args) => policy.match({ server, tool, arguments: args }));
+}
+
+function toolRules() {
+  const policy = ApprovalPolicy.fromConfig(
+    {
+      autoApprove: [
+        { tool: "get-forecast" },
+        { server: "weather", tool: "get-alerts" },
+        { server: "other", tool: "*" },
+      ],
+    },
+    "toolRules"
+  );
+  expect(
+    "a rule without arguments approves any arguments",
+    match(policy, "get-forecast", [{}, { latitude: 1, longitude: 2 }]),
+    [0, 0]
+  );
+  expect(
+    "server names must match",
+    [
+      match(policy, "get-alerts", [{}], "weather"),
+      match(policy, "get-alerts", [{}], "elsewhere"),
+    ],
+    [[1], [-1]]
+  );
+  expect(
+    '"*" matches every tool of the server',
+    match(policy, "get-observation", [{}], "other"),
+    [2]
+  );
+}
+
+function argumentRules() {
+  const policy = ApprovalPolicy.fromConfig(
+    {
+      autoApprove: [
+        { tool: "get-alerts", arguments: { state: "CA|NV" } },
+        { tool: "get-forecast", arguments: { latitude: "3\\d(\\.\\d+)?" } },
+      ],
+    },
+    "argumentRules"
+  );
+  expect(
+    "patterns match the whole value",
+    match(policy, "get-alerts", [{ state: "CA" }, { state: "CAZ006" }]),
+    [0, -1]
+  );
+  expect(
+    "values other than strings are matched as JSON",
+    match(policy, "get-forecast", [{ latitude: 37.77 }, { latitude: "37" }]),
+    [1, 1]
+  );
+  expect(
+    "a listed argument must be present",
+    match(policy, "get-alerts", [{}]),
+    [-1]
+  );
+  expect(
+    "a call with an argument the rule does not list is not approved",
+    match(policy, "get-alerts", [{ state: "CA", zone: "CAZ006" }]),
+    [-1]
+  );
+}
+
+function otherArguments() {
+  const policy = ApprovalPolicy.fromConfig(
+    {
+      autoApprove: [
+        { tool: "get-observation", arguments: { units: "metric", "*": ".*" } },
+        {
+          tool: "get-forecast",
+          arguments: { units: "metric", "*": "-?\\d+(\\.\\d+)?" },
+        },
+      ],
+    },
+    "otherArguments"
+  );
+  expect(
+    '"*": ".*" approves any other arguments',
+    match(policy, "get-observation", [
+      { units: "metric", latitude: 37.77, longitude: -122.42 },
+      { units: "imperial", latitude: 37.77 },
+    ]),
+    [0, -1]
+  );
+  expect(
+    '"*" patterns are matched against every other argument',
+    match(policy, "get-forecast", [
+      { units: "metric", latitude: 37.77, longitude: -122.42 },
+      { units: "metric", latitude: 37.77, note: "anything" },
+    ]),
+    [1, -1]
+  );
+  expect(
+    '"*" does not make listed arguments optional',
+    match(policy, "get-forecast", [{ latitude: 37.77 }]),
+    [-1]
+  );
+}
+
+function main() {
+  toolRules();
+  argumentRules();
+  otherArguments();
+
+  if (failures.length > 0) {
+    console.error(
+      `Approval conformance check failed (${failures.length}/${checks}):`
+    );
+    failures.forEach((failure) => console.error(`  - ${failure}`));
+    process.exit(1);
+  }
+  console.log(`All ${checks} approval conformance checks passed`);
+}
+
+main();
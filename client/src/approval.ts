@@ -0,0 +1,284 @@
+import { promises as fs } from "fs";
+import { getLogger } from "deproof-shared";
+
+const log = getLogger("Approval");
+
+// Whether tool calls wait for the user's approval before they are signed
+export type ApprovalMode = "off" | "ask";
+
+export const APPROVAL_MODES: ApprovalMode[] = ["off", "ask"];
+
+/**
+ * Approval policy file format (rules are tried in order, the first match wins):
+ * {
+ *   "autoApprove": [
+ *     { "tool": "get-forecast" },                       // On any server
+ *     {
+ *       "server": "weather",
+ *       "tool": "get-alerts",
+ *       "arguments": { "state": "CA|NV|OR" }            // Every listed argument must match
+ *     },
+ *     {
+ *       "tool": "get-observation",
+ *       "arguments": { "units": "metric", "*": ".*" }   // "*": any other argument
+ *     }
+ *   ]
+ * }
+ * "tool": "*" matches every tool. Argument patterns are regular expressions
+ * matched against the whole value; values other than strings are matched as JSON.
+ * A rule with arguments does not match calls with arguments it does not list,
+ * unless its "*" pattern matches each of them.
+ */
+export interface ApprovalPolicyConfig {
+  autoApprove?: AutoApproveRule[];
+}
+
+export interface AutoApproveRule {
+  server?: string;
+  tool: string;
+  arguments?: Record<string, string>;
+}
+
+// A tool call the LLM asked for, with its arguments cleaned of any _deProof
+export interface ToolCallRequest {
+  server: string;
+  tool: string;
+  arguments: Record<string, unknown>;
+}
+
+// Approved (possibly with arguments edited by the user), or denied and why
+export type ApprovalDecision =
+  | { approved: true; arguments: Record<string, unknown> }
+  | { approved: false; reason: string };
+
+// Asks the user a question on the terminal and resolves with the answer
+export type Prompt = (question: string) => Promise<string>;
+
+// Argument pattern for the arguments a rule does not list
+const OTHER_ARGUMENTS = "*";
+
+interface CompiledRule {
+  server: string | null;
+  tool: string;
+  argumentPatterns: Map<string, RegExp>;
+}
+
+function compileRule(rule: unknown, field: string): CompiledRule {
+  const {
+    server,
+    tool,
+    arguments: patterns,
+  } = (rule ?? {}) as Record<string, unknown>;
+  if (typeof tool !== "string" || !tool) {
+    throw new Error(`${field}.tool must be a tool name or "*"`);
+  }
+  if (server !== undefined && typeof server !== "string") {
+    throw new Error(`${field}.server must be a server name`);
+  }
+  if (
+    patterns !== undefined &&
+    (!patterns || typeof patterns !== "object" || Array.isArray(patterns))
+  ) {
+    throw new Error(`${field}.arguments must map argument names to patterns`);
+  }
+  const argumentPatterns = new Map<string, RegExp>();
+  for (const [name, pattern] of Object.entries(patterns ?? {})) {
+    if (typeof pattern !== "string") {
+      throw new Error(`${field}.arguments.${name} must be a string`);
+    }
+    try {
+      argumentPatterns.set(name, new RegExp(`^(?:${pattern})$`));
+    } catch {
+      throw new Error(
+        `${field}.arguments.${name} is not a valid regular expression`
+      );
+    }
+  }
+  return { server: server ?? null, tool, argumentPatterns };
+}
+
+function matchesRule(rule: CompiledRule, call: ToolCallRequest): boolean {
+  if (rule.server !== null && rule.server !== call.server) {
+    return false;
+  }
+  if (rule.tool !== "*" && rule.tool !== call.tool) {
+    return false;
+  }
+  if (rule.argumentPatterns.size === 0) {
+    return true;
+  }
+  for (const [name, pattern] of rule.argumentPatterns) {
+    if (name !== OTHER_ARGUMENTS && call.arguments[name] === undefined) {
+      return false;
+    }
+  }
+  // Every argument of the call must be matched, an unlisted one by "*"
+  const otherPattern = rule.argumentPatterns.get(OTHER_ARGUMENTS);
+  for (const [name, value] of Object.entries(call.arguments)) {
+    const pattern = rule.argumentPatterns.get(name) ?? otherPattern;
+    if (
+      !pattern ||
+      !pattern.test(typeof value === "string" ? value : JSON.stringify(value))
+    ) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Rules for tool calls that are approved without asking the user
+ */
+export class ApprovalPolicy {
+  private constructor(private readonly rules: CompiledRule[]) {}
+
+  // A policy without rules: the user is asked about every call
+  static empty(): ApprovalPolicy {
+    return new ApprovalPolicy([]);
+  }
+
+  /**
+   * Load and validate a policy file
+   */
+  static async load(filePath: string): Promise<ApprovalPolicy> {
+    const config = JSON.parse(await fs.readFile(filePath, "utf8"));
+    return ApprovalPolicy.fromConfig(config, filePath);
+  }
+
+  /**
+   * Validate a parsed policy
+   *
+   * @param source - Where the policy came from, for error messages
+   */
+  static fromConfig(config: unknown, source: string): ApprovalPolicy {
+    const rules = (config as ApprovalPolicyConfig | null)?.autoApprove ?? [];
+    if (!Array.isArray(rules)) {
+      throw new Error(`${source}: autoApprove must be an array of rules`);
+    }
+    try {
+      return new ApprovalPolicy(
+        rules.map((rule, index) => compileRule(rule, `autoApprove[${index}]`))
+      );
+    } catch (error) {
+      throw new Error(
+        `${source}: ${error instanceof Error ? error.message : String(error)}`
+      );
+    }
+  }
+
+  /**
+   * Index of the first rule that approves the call, or -1
+   */
+  match(call: ToolCallRequest): number {
+    return this.rules.findIndex((rule) => matchesRule(rule, call));
+  }
+}
+
+/**
+ * Human-in-the-loop approval of tool calls before the client signs them. Calls
+ * matched by the policy are approved at once; for any other call the user is
+ * shown the server, the tool and the arguments, and may approve, deny or edit
+ * them.
+ */
+export class ToolApprover {
+  constructor(private readonly policy: ApprovalPolicy) {}
+
+  /**
+   * Decide whether a tool call may be signed and sent
+   *
+   * @param prompt - Asks the user; without one, calls the policy does not approve are denied
+   */
+  async review(
+    call: ToolCallRequest,
+    prompt: Prompt | null
+  ): Promise<ApprovalDecision> {
+    const rule = this.policy.match(call);
+    if (rule >= 0) {
+      log.info("Auto-approved tool call", {
+        server: call.server,
+        tool: call.tool,
+        rule,
+      });
+      return { approved: true, arguments: call.arguments };
+    }
+    if (!prompt) {
+      return { approved: false, reason: "no user is available to approve it" };
+    }
+    try {
+      return await askUser(call, prompt);
+    } catch (error) {
+      // E.g. the terminal was closed while waiting for an answer
+      log.warn("Approval prompt failed", { tool: call.tool, error });
+      return { approved: false, reason: "the approval prompt failed" };
+    }
+  }
+}
+
+async function askUser(
+  call: ToolCallRequest,
+  prompt: Prompt
+): Promise<ApprovalDecision> {
+  let args = call.arguments;
+  let notice = "";
+  for (;;) {
+    const answer = (
+      await prompt(
+        `${notice}  ? Sign and send ${call.tool} to server "${call.server}"?\n` +
+          `    ${JSON.stringify(args)}\n` +
+          "    [a]pprove, [d]eny or [e]dit arguments: "
+      )
+    )
+      .trim()
+      .toLowerCase();
+    notice = "";
+    if (answer === "a" || answer === "approve") {
+      log.info("Tool call approved", {
+        server: call.server,
+        tool: call.tool,
+        edited: args !== call.arguments,
+      });
+      return { approved: true, arguments: args };
+    }
+    if (answer === "d" || answer === "deny") {
+      const reason = (
+        await prompt("    Reason for the LLM (optional): ")
+      ).trim();
+      log.info("Tool call denied", { server: call.server, tool: call.tool });
+      return {
+        approved: false,
+        reason: reason
+          ? `denied by the user (${reason})`
+          : "denied by the user",
+      };
+    }
+    if (answer === "e" || answer === "edit") {
+      const edited = parseArguments(
+        await prompt("    New arguments (JSON object): ")
+      );
+      if (edited) {
+        // The edited call is shown again, so what gets signed is always confirmed
+        args = edited;
+      } else {
+        notice = "    Not a JSON object, the arguments are unchanged\n";
+      }
+      continue;
+    }
+    notice = "    Answer a, d or e\n";
+  }
+}
+
+// Arguments typed by the user, without any _deProof, or null if they are not a JSON object
+function parseArguments(text: string): Record<string, unknown> | null {
+  let value: unknown;
+  try {
+    value = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return null;
+  }
+  const args = { ...(value as Record<string, unknown>) };
+  delete args._deProof;
+  return args;
+}
@@ -0,0 +1,58 @@
+import { Wallet, keccak256, verifyMessage } from "ethers";
+import {
+  canonicalize,
+  loadConformanceVectors,
+  rejectionInput,
+} from "deproof-shared";
+
+/**
+ * Check the client's DeProof encoding against the published conformance vectors
+ *
+ * Usage: npm run conformance
+ */
+async function main() {
+  const file = loadConformanceVectors();
+  const wallet = new Wallet(file.signerPrivateKey);
+  const failures: string[] = [];
+
+  for (const vector of file.vectors) {
+    const canonical = canonicalize(vector.input);
+    if (canonical !== vector.canonical) {
+      failures.push(`${vector.description}: canonical string differs`);
+      continue;
+    }
+    const digest = keccak256(Buffer.from(canonical)).slice(2);
+    if (digest !== vector.digest) {
+      failures.push(`${vector.description}: digest differs`);
+      continue;
+    }
+    const digestBytes = Buffer.from(digest, "hex");
+    const signature = (await wallet.signMessage(digestBytes)).slice(2);
+    if (signature !== vector.signature) {
+      failures.push(`${vector.description}: signature differs`);
+    }
+    const recovered = verifyMessage(digestBytes, "0x" + vector.signature);
+    if (recovered !== file.signerAddress) {
+      failures.push(`${vector.description}: recovered ${recovered}`);
+    }
+  }
+
+  for (const rejection of file.rejections) {
+    try {
+      canonicalize(rejectionInput(rejection));
+      failures.push(`${rejection.description}: was not rejected`);
+    } catch {
+      // Expected
+    }
+  }
+
+  const total = file.vectors.length + file.rejections.length;
+  if (failures.length > 0) {
+    console.error(`Conformance check failed (${failures.length}/${total}):`);
+    failures.forEach((failure) => console.error(`  - ${failure}`));
+    process.exit(1);
+  }
+  console.log(`All ${total} conformance vectors passed`);
+}
+
+main();
@@ -0,0 +1,102 @@
+import { Wallet } from "ethers";
+import {
+  DELEGATION_VERSION,
+  DeProofDelegation,
+  DEPROOF_DELEGATION_TYPES,
+  delegationMessage,
+} from "deproof-shared";
+import { DEPROOF_EIP712_DOMAIN } from "./secure-proof.js";
+import { DeProofSigner } from "./signers.js";
+
+// Start using a new key this long before the certificate expires
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
+// Limits of certificates created by the client
+export interface DelegationPolicy {
+  ttlMs: number;
+  // 0 means no call limit
+  maxCalls: number;
+  // Tools to delegate; null delegates every tool the server offers
+  tools: string[] | null;
+}
+
+// An ephemeral key and the master's certificate for it
+export interface SessionKey {
+  wallet: Wallet;
+  certificate: DeProofDelegation;
+}
+
+// Session key as kept in the encrypted session file
+export interface PersistedSessionKey {
+  privateKey: string;
+  certificate: DeProofDelegation;
+}
+
+/**
+ * Create a fresh session key and have the master wallet certify it
+ *
+ * @param master - The long-lived wallet the calls are attributed to
+ * @param audience - Server audience the key is limited to
+ * @param session - DeProof session the key is limited to
+ * @param tools - Tools the key may call
+ * @param policy - Lifetime and call budget
+ */
+export async function createSessionKey(
+  master: DeProofSigner,
+  audience: string,
+  session: string,
+  tools: string[],
+  policy: DelegationPolicy
+): Promise<SessionKey> {
+  const wallet = Wallet.createRandom();
+  const issuedAt = new Date();
+  const unsigned = {
+    version: DELEGATION_VERSION,
+    master: master.address,
+    delegate: wallet.address,
+    audience,
+    session,
+    tools,
+    issuedAt: issuedAt.toISOString(),
+    expiresAt: new Date(issuedAt.getTime() + policy.ttlMs).toISOString(),
+    maxCalls: policy.maxCalls,
+  };
+  const signature = await master.signTypedData(
+    DEPROOF_EIP712_DOMAIN,
+    DEPROOF_DELEGATION_TYPES,
+    delegationMessage(unsigned)
+  );
+  return {
+    wallet: new Wallet(wallet.privateKey),
+    certificate: { ...unsigned, signature: signature.slice(2) },
+  };
+}
+
+/**
+ * Whether a session key can still sign the next call of a session on a tool
+ */
+export function isSessionKeyUsable(
+  key: SessionKey,
+  session: string,
+  tool: string,
+  nextNonce: number
+): boolean {
+  const { certificate } = key;
+  return (
+    certificate.session === session &&
+    certificate.tools.includes(tool) &&
+    Date.parse(certificate.expiresAt) - EXPIRY_MARGIN_MS > Date.now() &&
+    (certificate.maxCalls === 0 || nextNonce < certificate.maxCalls)
+  );
+}
+
+export function exportSessionKey(key: SessionKey): PersistedSessionKey {
+  return { privateKey: key.wallet.privateKey, certificate: key.certificate };
+}
+
+export function importSessionKey(persisted: PersistedSessionKey): SessionKey {
+  return {
+    wallet: new Wallet(persisted.privateKey),
+    certificate: persisted.certificate,
+  };
+}
@@ -0,0 +1,167 @@
+import { DeProof } from "./secure-proof.js";
+
+// Machine-readable error sent by the server in a tool result's _meta.error
+export interface DeProofError {
+  code: number;
+  message: string;
+  data?: any;
+}
+
+// What the client can do about an error before retrying the tool call
+export type RecoveryAction =
+  // Sign again with timestamps shifted to the server's clock (server minus local time)
+  | { kind: "adjust-clock"; offsetMs: number; reason: string }
+  | { kind: "wait"; delayMs: number; reason: string } // Sign again after a delay
+  // Sign again from the server's next nonce; rewind also moves the counter backwards
+  | { kind: "resync"; nextNonce: number; rewind: boolean; reason: string }
+  | { kind: "new-session"; reason: string } // Abandon the session the server no longer knows
+  | { kind: "new-session-key"; reason: string }; // Certify a new delegated session key
+
+// Short descriptions of the server error codes, shown to the user
+const ERROR_DESCRIPTIONS: Record<number, string> = {
+  [-32602]: "missing DeProof",
+  [-32000]: "server error",
+  [-32001]: "timestamp outside the allowed window",
+  [-32002]: "invalid timestamp",
+  [-32003]: "nonce rejected",
+  [-32005]: "digest mismatch",
+  [-32006]: "signature does not match the signer",
+  [-32007]: "invalid signature",
+  [-32008]: "tool execution failed",
+  [-32009]: "unsupported DeProof version or scheme",
+  [-32010]: "proof bound to another tool or server",
+  [-32011]: "signer not authorized",
+  [-32012]: "signer revoked",
+  [-32013]: "invalid delegation",
+  [-32014]: "unknown, expired or closed session",
+  [-32015]: "usage limit reached",
+  [-32099]: "validation timed out",
+};
+
+// Longest rate limit wait that is retried automatically instead of failing the call
+const MAX_USAGE_LIMIT_WAIT_MS = 10 * 1000;
+
+/**
+ * Extract the DeProof error from a tool result, or null if the call succeeded
+ */
+export function parseDeProofError(result: any): DeProofError | null {
+  const error = result?._meta?.error;
+  if (!result?.isError || !error || typeof error.code !== "number") {
+    return null;
+  }
+  return {
+    code: error.code,
+    message: String(error.message ?? ""),
+    data: error.data,
+  };
+}
+
+/**
+ * Human-readable one-line description of an error
+ */
+export function describeDeProofError(error: DeProofError): string {
+  const description = ERROR_DESCRIPTIONS[error.code] ?? "error";
+  return `DeProof ${description} (${error.code}): ${error.message}`;
+}
+
+/**
+ * Decide whether an error can be recovered from automatically
+ *
+ * @param error - The error returned by the server
+ * @param proof - The proof that was rejected
+ * @returns The action to take, or null if the error is not recoverable
+ */
+export function planRecovery(
+  error: DeProofError,
+  proof: DeProof
+): RecoveryAction | null {
+  switch (error.code) {
+    case -32001: {
+      // Without the server's time, signing again would use the same skewed clock
+      const serverTime = Date.parse(error.data?.serverTime ?? "");
+      if (Number.isNaN(serverTime)) {
+        return null;
+      }
+      const offsetMs = serverTime - Date.now();
+      // The nonce was not consumed, but the server accepts nonces out of order, so skip it
+      return {
+        kind: "adjust-clock",
+        offsetMs,
+        reason: `timestamp rejected (client clock differs from server by ${Math.round(
+          -offsetMs / 1000
+        )}s), signing again on the server's time`,
+      };
+    }
+    case -32003: {
+      const expectedNonce = error.data?.expectedNonce;
+      if (typeof expectedNonce !== "number") {
+        return null;
+      }
+      if (expectedNonce === 0 && proof.nonce > 0) {
+        // The server does not know the session (e.g. it restarted without persistent nonces)
+        return {
+          kind: "new-session",
+          reason: `server lost session ${proof.session.substring(
+            0,
+            8
+          )}, starting a new session`,
+        };
+      }
+      if (error.data?.reason === "used" || error.data?.reason === "too-old") {
+        // The counter fell behind the server (e.g. restored from an old session file)
+        return {
+          kind: "resync",
+          nextNonce: expectedNonce,
+          rewind: false,
+          reason: `nonce ${proof.nonce} was already used or is too old, signing again`,
+        };
+      }
+      // Too far ahead of the server's window: earlier proofs were rejected before their
+      // nonces were consumed, so the server's nonce is authoritative
+      return {
+        kind: "resync",
+        nextNonce: expectedNonce,
+        rewind: true,
+        reason: `server expects nonce ${expectedNonce} instead of ${proof.nonce}, signing again`,
+      };
+    }
+    case -32013: {
+      // An expired or used up certificate is replaced; anything else is a client bug
+      const reason = error.data?.reason;
+      if (reason !== "expired" && reason !== "budget") {
+        return null;
+      }
+      return {
+        kind: "new-session-key",
+        reason: `session key ${
+          reason === "expired" ? "expired" : "used up"
+        }, certifying a new one`,
+      };
+    }
+    case -32014:
+      // Sessions are issued by the server; ask for a new one
+      return {
+        kind: "new-session",
+        reason: `server rejected session ${proof.session.substring(0, 8)} (${
+          error.data?.reason ?? "unknown"
+        }), starting a new session`,
+      };
+    case -32015: {
+      // Short rate limit waits are sat out; exhausted quotas fail the call
+      const retryAfter = error.data?.retryAfter;
+      if (
+        typeof retryAfter !== "number" ||
+        retryAfter * 1000 > MAX_USAGE_LIMIT_WAIT_MS
+      ) {
+        return null;
+      }
+      return {
+        kind: "wait",
+        delayMs: Math.max(0, retryAfter * 1000),
+        reason: `rate limited by the server, signing again in ${retryAfter}s`,
+      };
+    }
+    default:
+      return null;
+  }
+}
@@ -1,26 +1,131 @@
 import OpenAI from "openai";
 import { Client } from "@modelcontextprotocol/sdk/client/index.js";
-import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import {
+  StdioClientTransport,
+  getDefaultEnvironment,
+} from "@modelcontextprotocol/sdk/client/stdio.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import type { Transport } from "@modelcontextprotocol/sdk/shared/transport.js";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
 import readline from "readline/promises";
+import { randomBytes, randomUUID } from "crypto";
 import dotenv from "dotenv";
 import type {
+  ChatCompletionAssistantMessageParam,
   ChatCompletionMessageParam,
+  ChatCompletionMessageToolCall,
   ChatCompletionTool,
+  ChatCompletionToolMessageParam,
 } from "openai/resources/index.mjs";
-import { Wallet } from "ethers";
-import { generateDeProof, DeProof } from "./secure-proof.js";
+import {
+  generateDeProof,
+  formatAudience,
+  DeProof,
+  DeProofScheme,
+  exportNonces,
+  importNonces,
+  setNextNonce,
+  advanceNextNonce,
+} from "./secure-proof.js";
+import {
+  RecoveryAction,
+  describeDeProofError,
+  parseDeProofError,
+  planRecovery,
+} from "./deproof-errors.js";
+import {
+  EncryptedSessionStore,
+  PersistedSessionState,
+  defaultSessionFilePath,
+} from "./session-store.js";
+import { ProgressReporter, summarize } from "./progress.js";
+import {
+  APPROVAL_MODES,
+  ApprovalMode,
+  ApprovalPolicy,
+  Prompt,
+  ToolApprover,
+} from "./approval.js";
+import { verifyReceipt } from "./receipts.js";
+import {
+  DelegationPolicy,
+  PersistedSessionKey,
+  SessionKey,
+  createSessionKey,
+  exportSessionKey,
+  importSessionKey,
+  isSessionKeyUsable,
+} from "./delegation.js";
+import { DeProofSigner, loadSignerFromEnvironment } from "./signers.js";
+import {
+  DEPROOF_CLOSE_SESSION_TOOL,
+  DEPROOF_OPEN_SESSION_TOOL,
+  CHALLENGE_NONCE_ARGUMENT,
+  IssuedSession,
+  configureLogging,
+  getLogger,
+  loggingOptionsFromEnv,
+} from "deproof-shared";
+import {
+  RECEIPT_MODES,
+  ReceiptMode,
+  ServerConfig,
+  isHttpServerConfig,
+  isServerUrl,
+  loadServersConfig,
+  namespaceToolName,
+  serverConfigFromScript,
+  serverConfigFromUrl,
+} from "./server-config.js";
 
 dotenv.config();
 
+// Diagnostics go to stderr (or LOG_FILE); stdout is the chat. The progress lines
+// already show each step, so only warnings and errors are logged by default
+configureLogging(loggingOptionsFromEnv(process.env, { level: "warn" }));
+const log = getLogger("Client");
+
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 if (!OPENAI_API_KEY) {
   throw new Error("OPENAI_API_KEY is not set");
 }
 
-// Private key for signing, should be securely stored in production
-const PRIVATE_KEY = process.env.WALLET_PRIVATE_KEY;
-if (!PRIVATE_KEY) {
-  throw new Error("WALLET_PRIVATE_KEY is not set");
+// DeProof signing scheme: "eip191" (default) or "eip712" (typed data)
+const DEPROOF_SCHEME = process.env.DEPROOF_SCHEME || "eip191";
+if (DEPROOF_SCHEME !== "eip191" && DEPROOF_SCHEME !== "eip712") {
+  throw new Error(`Unsupported DEPROOF_SCHEME: ${DEPROOF_SCHEME}`);
+}
+
+// Default handling of server-signed result receipts: "off", "warn" or "require"
+const DEPROOF_RECEIPTS = process.env.DEPROOF_RECEIPTS || "warn";
+if (!RECEIPT_MODES.includes(DEPROOF_RECEIPTS as ReceiptMode)) {
+  throw new Error(`Unsupported DEPROOF_RECEIPTS: ${DEPROOF_RECEIPTS}`);
+}
+
+// Whether tool calls wait for the user's approval before they are signed: "off" or "ask"
+// (also set by --approve); DEPROOF_APPROVAL_POLICY lists calls approved without asking
+const DEPROOF_APPROVAL = process.env.DEPROOF_APPROVAL || "off";
+if (!APPROVAL_MODES.includes(DEPROOF_APPROVAL as ApprovalMode)) {
+  throw new Error(`Unsupported DEPROOF_APPROVAL: ${DEPROOF_APPROVAL}`);
+}
+
+// Sign tool calls with session keys certified by the wallet ("on") instead of the wallet itself
+const DEPROOF_DELEGATION = process.env.DEPROOF_DELEGATION === "on";
+const DELEGATION_POLICY: DelegationPolicy = {
+  ttlMs: Number(process.env.DEPROOF_DELEGATION_TTL_MINUTES || "60") * 60 * 1000,
+  maxCalls: Number(process.env.DEPROOF_DELEGATION_MAX_CALLS || "0"),
+  tools: process.env.DEPROOF_DELEGATION_TOOLS
+    ? process.env.DEPROOF_DELEGATION_TOOLS.split(",").map((tool) => tool.trim())
+    : null,
+};
+if (
+  !(DELEGATION_POLICY.ttlMs > 0) ||
+  !Number.isInteger(DELEGATION_POLICY.maxCalls) ||
+  DELEGATION_POLICY.maxCalls < 0
+) {
+  throw new Error(
+    "Invalid DEPROOF_DELEGATION_TTL_MINUTES or DEPROOF_DELEGATION_MAX_CALLS"
+  );
 }
 
 // Add type definition for tool call results
@@ -29,303 +134,1028 @@ interface ToolCallResult {
   [key: string]: any;
 }
 
-// Add request timeout constants
-const TOOL_CALL_TIMEOUT_MS = 3000; // 3 seconds
-const MCP_CONNECTION_TIMEOUT_MS = 1000; // 1 second
+// How long to wait for a tool result before cancelling the call, longer than
+// the weather server's own TOOL_EXECUTION_TIMEOUT_MS (20 s) so its error arrives
+const TOOL_CALL_TIMEOUT_MS = Number(
+  process.env.TOOL_CALL_TIMEOUT_MS || "25000"
+);
+if (!Number.isInteger(TOOL_CALL_TIMEOUT_MS) || TOOL_CALL_TIMEOUT_MS < 1) {
+  throw new Error(
+    `Invalid TOOL_CALL_TIMEOUT_MS: ${process.env.TOOL_CALL_TIMEOUT_MS}`
+  );
+}
+
+// How long to wait for a server to start and complete the MCP handshake
+const MCP_CONNECT_TIMEOUT_MS = Number(
+  process.env.MCP_CONNECT_TIMEOUT_MS || "10000"
+);
+if (!Number.isInteger(MCP_CONNECT_TIMEOUT_MS) || MCP_CONNECT_TIMEOUT_MS < 1) {
+  throw new Error(
+    `Invalid MCP_CONNECT_TIMEOUT_MS: ${process.env.MCP_CONNECT_TIMEOUT_MS}`
+  );
+}
+
+// Automatic DeProof error recoveries (resync, new session) per tool call
+const MAX_RECOVERY_ATTEMPTS = 2;
+
+// Recoveries applied even when the error's receipt was not verified: a forged
+// error can at worst make the client sign again later or with another nonce
+const UNVERIFIED_RECOVERIES: RecoveryAction["kind"][] = ["resync", "wait"];
+
+// Server tools for the DeProof session handshake, hidden from the LLM
+const DEPROOF_SESSION_TOOLS = [
+  DEPROOF_OPEN_SESSION_TOOL,
+  DEPROOF_CLOSE_SESSION_TOOL,
+];
+
+// Maximum number of LLM round trips per question in the agent loop
+const MAX_AGENT_STEPS = Number(process.env.MAX_AGENT_STEPS || "8");
+if (!Number.isInteger(MAX_AGENT_STEPS) || MAX_AGENT_STEPS < 1) {
+  throw new Error(`Invalid MAX_AGENT_STEPS: ${process.env.MAX_AGENT_STEPS}`);
+}
+
+// A connected MCP server and its DeProof state
+interface ServerConnection {
+  name: string;
+  config: ServerConfig;
+  client: Client;
+  transport: Transport;
+  audience: string;
+  session: string | null;
+  receiptMode: ReceiptMode;
+  // Address result receipts must be signed by (configured, or pinned on first use)
+  serverAddress: string | null;
+  // Tools the server offers, delegated by default
+  toolNames: string[];
+  // Whether the server issues session challenges (otherwise the client picks session ids)
+  issuesSessions: boolean;
+  // Delegated key for the current session (DEPROOF_DELEGATION=on)
+  sessionKey: SessionKey | null;
+  // Server clock minus local clock, learned from timestamp rejections; added to proof timestamps
+  clockOffsetMs: number;
+}
+
+// Where a namespaced LLM tool name is routed to
+interface ToolRoute {
+  server: ServerConnection;
+  toolName: string;
+}
+
+// A routed tool call, with cleaned (and approved) arguments, ready to be signed
+interface PreparedToolCall extends ToolRoute {
+  toolCall: ChatCompletionMessageToolCall;
+  llmToolName: string;
+  args: Record<string, any>;
+}
 
 class MCPClient {
-  private mcp: Client;
   private openai: OpenAI;
   private tools: ChatCompletionTool[] = [];
-  private wallet: Wallet;
-  private session: string | null = null;
+  private servers = new Map<string, ServerConnection>();
+  private toolRoutes = new Map<string, ToolRoute>();
+  private wallet: DeProofSigner;
+  private sessionStore: EncryptedSessionStore | null = null;
+  private savedSessions: Record<string, string> = {};
+  private savedSessionKeys: Record<string, PersistedSessionKey> = {};
+  // Sessions left behind by --new-session, closed once their server is connected
+  private abandonedSessions: Record<string, string> = {};
+  // Conversation history, kept across chatLoop turns until reset
+  private history: ChatCompletionMessageParam[] = [];
+  private progress = new ProgressReporter();
+  // Approval of tool calls before signing (null: every call is signed right away)
+  private approver: ToolApprover | null;
+  // Asks the user on the chat terminal, while the chat loop runs
+  private prompt: Prompt | null = null;
+  // Serializes signing and recovery of parallel tool calls (nonces, sessions, session file)
+  private signingQueue: Promise<unknown> = Promise.resolve();
 
-  constructor() {
+  constructor(wallet: DeProofSigner, approver: ToolApprover | null = null) {
     this.openai = new OpenAI({
       apiKey: OPENAI_API_KEY,
       baseURL: process.env.OPENAI_BASE_URL,
     });
-    this.mcp = new Client({ name: "mcp-client-cli", version: "1.0.0" });
-    // Initialize wallet for signing
-    this.wallet = new Wallet(PRIVATE_KEY as string);
+    // Signer for DeProofs (keystore, external signer or plain key)
+    this.wallet = wallet;
+    this.approver = approver;
   }
 
-  async connectToServer(serverScriptPath: string) {
+  async initSession(startFresh: boolean) {
     /**
-     * Connect to an MCP server
+     * Load the persisted DeProof sessions and nonce counters
      *
-     * @param serverScriptPath - Path to the server script (.py or .js)
+     * @param startFresh - Ignore the previous sessions and open new ones on the next tool calls
      */
+    const filePath = defaultSessionFilePath();
+    this.sessionStore = await EncryptedSessionStore.open(
+      filePath,
+      this.wallet.address
+    );
+    let state: PersistedSessionState | null;
     try {
-      console.log(`\n========= Connecting to MCP server =========`);
-      console.log(`Server script path: ${serverScriptPath}`);
-
-      // Determine script type and appropriate command
-      const isJs = serverScriptPath.endsWith(".js");
-      const isPy = serverScriptPath.endsWith(".py");
-      if (!isJs && !isPy) {
-        throw new Error("Server script must be a .js or .py file");
-      }
-      const command = isPy
-        ? process.platform === "win32"
-          ? "python"
-          : "python3"
-        : process.execPath;
-
-      console.log(`Using command: ${command} ${serverScriptPath}`);
-
-      // Create transport
-      const transport = new StdioClientTransport({
-        command,
-        args: [serverScriptPath],
+      state = await this.sessionStore.load();
+    } catch (error) {
+      if (!startFresh) {
+        throw error;
+      }
+      // The unreadable file is overwritten below
+      log.warn("Ignoring unreadable session file (--new-session)", {
+        file: filePath,
+        error,
       });
+      state = null;
+    }
 
-      console.log(`Attempting to connect to server...`);
+    if (!state) {
+      log.info("No saved DeProof session found", { file: filePath });
+      if (startFresh) {
+        await this.persistSession();
+      }
+      return;
+    }
 
-      // Add connection timeout control
-      try {
-        const connectPromise = this.mcp.connect(transport);
-        const timeoutPromise = new Promise((_, reject) => {
-          setTimeout(() => {
-            reject(
-              new Error(
-                `Connection to MCP server timeout (${
-                  MCP_CONNECTION_TIMEOUT_MS / 1000
-                } seconds)`
-              )
-            );
-          }, MCP_CONNECTION_TIMEOUT_MS);
-        });
+    // Restore counters even for a fresh session, so old sessions keep a monotonic history
+    importNonces(state.nonces);
 
-        await Promise.race([connectPromise, timeoutPromise]);
-        console.log(`Successfully connected to MCP server`);
+    if (startFresh) {
+      log.info("Starting fresh DeProof sessions (--new-session)");
+      this.abandonedSessions = state.activeSessions ?? {};
+      await this.persistSession();
+    } else {
+      // Sessions are resumed per server once the servers are connected
+      this.savedSessions = state.activeSessions ?? {};
+      this.savedSessionKeys = state.sessionKeys ?? {};
+    }
+  }
+
+  private async persistSession() {
+    /**
+     * Save the active sessions and nonce counters, if persistence is enabled
+     */
+    if (!this.sessionStore) {
+      return;
+    }
+    const activeSessions: Record<string, string> = { ...this.savedSessions };
+    const sessionKeys: Record<string, PersistedSessionKey> = {
+      ...this.savedSessionKeys,
+    };
+    for (const server of this.servers.values()) {
+      if (server.session) {
+        activeSessions[server.name] = server.session;
+      } else {
+        delete activeSessions[server.name];
+      }
+      if (server.sessionKey) {
+        sessionKeys[server.name] = exportSessionKey(server.sessionKey);
+      } else {
+        delete sessionKeys[server.name];
+      }
+    }
+    try {
+      await this.sessionStore.save({
+        signerAddress: this.wallet.address,
+        activeSessions,
+        nonces: exportNonces(),
+        sessionKeys,
+        updatedAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      log.error("Failed to persist DeProof session state", { error });
+    }
+  }
+
+  async connectToServers(servers: Record<string, ServerConfig>) {
+    /**
+     * Connect to every configured MCP server, skipping the ones that fail
+     *
+     * @param servers - Server configs keyed by server name
+     */
+    for (const [name, config] of Object.entries(servers)) {
+      try {
+        await this.connectToServer(name, config);
       } catch (error) {
-        console.error(`Failed to connect to MCP server:`, error);
-        throw error;
+        log.error("Skipping MCP server", { server: name, error });
       }
+    }
+    if (this.servers.size === 0) {
+      throw new Error("Could not connect to any MCP server");
+    }
+    log.info("Available tools", {
+      tools: this.tools.map((tool) => tool.function.name),
+    });
+  }
 
-      // List available tools and convert to LLM format
-      console.log(`Getting server tool list...`);
-      const toolsResult = await this.mcp.listTools();
-      this.tools = toolsResult.tools.map((tool) => {
-        return {
+  private createTransport(config: ServerConfig): Transport {
+    /**
+     * Create the transport for a server entry: Streamable HTTP for a url, stdio for a command
+     */
+    if (isHttpServerConfig(config)) {
+      log.info("Using URL", { url: config.url });
+      return new StreamableHTTPClientTransport(new URL(config.url), {
+        requestInit: config.headers ? { headers: config.headers } : undefined,
+      });
+    }
+
+    log.info("Using command", {
+      command: [config.command, ...(config.args ?? [])].join(" "),
+    });
+    // The config env is added to the default safe environment
+    return new StdioClientTransport({
+      command: config.command,
+      args: config.args ?? [],
+      env: config.env
+        ? { ...getDefaultEnvironment(), ...config.env }
+        : undefined,
+    });
+  }
+
+  async connectToServer(name: string, config: ServerConfig) {
+    /**
+     * Connect to an MCP server
+     *
+     * @param name - Server name, used to namespace its tools
+     * @param config - How to launch (command) or reach (url) the server
+     */
+    log.info("Connecting to MCP server", { server: name });
+    const transport = this.createTransport(config);
+    const client = new Client({ name: "mcp-client-cli", version: "1.0.0" });
+
+    try {
+      await client.connect(transport, { timeout: MCP_CONNECT_TIMEOUT_MS });
+      log.info("Connected to MCP server", { server: name });
+    } catch (error) {
+      log.error("Failed to connect to MCP server", { server: name, error });
+      await client.close().catch(() => undefined);
+      if (
+        error instanceof McpError &&
+        error.code === ErrorCode.RequestTimeout
+      ) {
+        throw new Error(
+          `Connection to MCP server timeout (${
+            MCP_CONNECT_TIMEOUT_MS / 1000
+          } seconds)`
+        );
+      }
+      throw error;
+    }
+
+    try {
+      // Proofs are bound to this server's name and version
+      const serverInfo = client.getServerVersion();
+      if (!serverInfo) {
+        throw new Error("MCP server did not report its name and version");
+      }
+      const server: ServerConnection = {
+        name,
+        config,
+        client,
+        transport,
+        audience: formatAudience(serverInfo.name, serverInfo.version),
+        session: this.savedSessions[name] ?? null,
+        receiptMode: config.receipts ?? (DEPROOF_RECEIPTS as ReceiptMode),
+        serverAddress: config.serverAddress ?? null,
+        toolNames: [],
+        issuesSessions: false,
+        sessionKey: this.savedSessionKeys[name]
+          ? importSessionKey(this.savedSessionKeys[name])
+          : null,
+        clockOffsetMs: 0,
+      };
+      log.info("DeProof audience", { server: name, audience: server.audience });
+      if (server.session) {
+        const signerAddress =
+          server.sessionKey?.wallet.address ?? this.wallet.address;
+        const nextNonce = exportNonces()[signerAddress]?.[server.session] ?? 0;
+        log.info("Resumed DeProof session", {
+          server: name,
+          session: server.session.substring(0, 8),
+          nextNonce,
+        });
+      }
+
+      // List available tools and convert to LLM format, namespaced by server
+      const toolsResult = await client.listTools();
+      for (const tool of toolsResult.tools) {
+        // The DeProof session tools are used by the client, not offered to the LLM
+        if (tool.name === DEPROOF_OPEN_SESSION_TOOL) {
+          server.issuesSessions = true;
+        }
+        if (DEPROOF_SESSION_TOOLS.includes(tool.name)) {
+          continue;
+        }
+        const llmToolName = namespaceToolName(name, tool.name);
+        this.toolRoutes.set(llmToolName, { server, toolName: tool.name });
+        server.toolNames.push(tool.name);
+        this.tools.push({
           type: "function",
           function: {
-            name: tool.name as string,
+            name: llmToolName,
             description: tool.description as string,
             parameters: tool.inputSchema as Record<string, any>,
           },
-        };
-      });
-      console.log(
-        "Available tools:",
-        this.tools.map((tool) => tool.function.name)
-      );
+        });
+      }
+      this.servers.set(name, server);
+
+      const abandoned = this.abandonedSessions[name];
+      if (abandoned && server.issuesSessions) {
+        await this.closeSession(server, abandoned);
+      }
     } catch (e) {
-      console.log("Failed to connect to MCP server: ", e);
+      log.error("Failed to initialize MCP server", { server: name, error: e });
+      await client.close().catch(() => undefined);
       throw e;
     }
   }
 
-  async processQuery(query: string) {
+  private async prepareToolCall(
+    toolCall: ChatCompletionMessageToolCall
+  ): Promise<PreparedToolCall | ChatCompletionToolMessageParam> {
     /**
-     * Process a query using LLM and available tools
+     * Route a tool call requested by the LLM, clean its arguments and have it approved
      *
-     * @param query - The user's input query
-     * @returns Processed response as a string
+     * @param toolCall - The tool call from the LLM response
+     * @returns The call to run, or the tool message to add to the conversation if it cannot run
      */
-    const messages: ChatCompletionMessageParam[] = [
-      {
-        role: "user",
-        content: query,
-      },
-    ];
-
+    const llmToolName = toolCall.function.name;
+    const route = this.toolRoutes.get(llmToolName);
+    if (!route) {
+      log.warn("LLM requested unknown tool", { tool: llmToolName });
+      this.progress.line("✗", `${llmToolName}: unknown tool`);
+      return {
+        tool_call_id: toolCall.id,
+        role: "tool",
+        content: `Tool call error: Unknown tool ${llmToolName}`,
+      };
+    }
+    const { server, toolName } = route;
+    let rawToolArgs: Record<string, any>;
     try {
-      console.log("\n==========================================");
-      console.log("Sending request to LLM...");
-      console.log("==========================================");
-
-      // Create LLM request object and send directly
-      const openaiRequestParams = {
-        model: process.env.OPENAI_MODEL as string,
-        messages: messages,
-        tools: this.tools.length > 0 ? this.tools : undefined,
-        tool_choice: this.tools.length > 0 ? ("auto" as const) : undefined,
+      rawToolArgs = JSON.parse(toolCall.function.arguments || "{}");
+    } catch (error) {
+      log.warn("LLM sent invalid arguments", { tool: llmToolName, error });
+      this.progress.line("✗", `${llmToolName}: invalid arguments`);
+      return {
+        tool_call_id: toolCall.id,
+        role: "tool",
+        content: `Tool call error: Arguments are not valid JSON`,
       };
+    }
 
-      const response = await this.openai.chat.completions.create(
-        openaiRequestParams
-      );
-
-      console.log("Received LLM response");
+    log.debug("Tool call from LLM", {
+      server: server.name,
+      tool: toolName,
+      rawArgs: rawToolArgs,
+    });
 
-      if (
-        !response.choices ||
-        response.choices.length === 0 ||
-        !response.choices[0].message
-      ) {
-        console.error("LLM response missing required fields", response);
-        return "Error: LLM returned an invalid response";
-      }
-      const responseMessage = response.choices[0].message;
-      const toolCalls = responseMessage.tool_calls;
+    // Create a "clean" version of arguments for DeProof generation
+    // by removing any _deProof that LLM might have included.
+    let deProofGenArgs = { ...rawToolArgs };
+    if ("_deProof" in deProofGenArgs) {
+      delete deProofGenArgs["_deProof"];
+    }
 
-      // Process response and handle tool calls
-      let finalResponseText = "";
+    this.progress.line("→", `${llmToolName} ${summarize(deProofGenArgs)}`);
 
-      if (toolCalls) {
-        console.log(
-          "LLM requests tool call:",
-          toolCalls.map((tc) => tc.function.name)
+    // Nothing is signed before the user (or the approval policy) agrees
+    if (this.approver) {
+      const decision = await this.approver.review(
+        { server: server.name, tool: toolName, arguments: deProofGenArgs },
+        this.prompt
+      );
+      if (!decision.approved) {
+        const deniedMsg = `Tool call not approved: ${decision.reason}`;
+        this.progress.line("✗", `${llmToolName}: ${summarize(deniedMsg)}`);
+        return {
+          tool_call_id: toolCall.id,
+          role: "tool",
+          content: deniedMsg,
+        };
+      }
+      if (decision.arguments !== deProofGenArgs) {
+        deProofGenArgs = decision.arguments as Record<string, any>;
+        this.progress.line(
+          "→",
+          `${llmToolName} ${summarize(deProofGenArgs)} (edited)`
         );
-        messages.push(responseMessage);
+      }
+    }
+    return { toolCall, llmToolName, server, toolName, args: deProofGenArgs };
+  }
 
-        // Process tool calls serially - no longer using Promise.all for parallel calls
+  private async executeToolCall(
+    call: PreparedToolCall
+  ): Promise<ChatCompletionToolMessageParam> {
+    /**
+     * Sign (if required) and run one prepared tool call
+     *
+     * @param call - The routed call with its approved arguments
+     * @returns The tool message to add to the conversation (errors included)
+     */
+    const {
+      toolCall,
+      llmToolName,
+      server,
+      toolName,
+      args: deProofGenArgs,
+    } = call;
+    const useDeProof = server.config.requireDeProof !== false;
+    for (let attempt = 0; ; attempt++) {
+      let deProof: DeProof | null = null;
+      let secureArgs: Record<string, any> = deProofGenArgs;
+      if (useDeProof) {
         try {
-          // Process each tool call sequentially
-          for (const toolCall of toolCalls) {
-            const toolName = toolCall.function.name;
-            const rawToolArgs = JSON.parse(toolCall.function.arguments);
-
-            console.log(`\n=========================================`);
-            console.log(`Calling tool: ${toolName}`);
-            console.log(`Raw Parameters from LLM:`, rawToolArgs);
-            console.log(`=========================================`);
-
-            // Create a "clean" version of arguments for DeProof generation
-            // by removing any _deProof that LLM might have included.
-            const deProofGenArgs = { ...rawToolArgs };
-            if ("_deProof" in deProofGenArgs) {
-              delete deProofGenArgs["_deProof"];
-            }
-
-            console.log(
-              `Generating DeProof validation data for (cleaned) parameters:`,
-              deProofGenArgs
-            );
-            const deProof: DeProof = await generateDeProof(
-              deProofGenArgs, // Use cleaned args for DeProof generation
-              this.wallet,
-              this.session
-            );
-
-            // If it's a new session, update the client session state
-            if (!this.session) {
-              this.session = deProof.session;
-              console.log(
-                `Created new session: ${this.session.substring(0, 8)}...`
-              );
-            }
-
-            // Add validation data to parameters, using the cleaned args as base
-            const secureArgs = {
-              ...deProofGenArgs, // Start with cleaned args
-              _deProof: deProof, // Add the real _deProof
-            };
-
-            // Add tool call timeout control
-            const callToolWithTimeout = async () => {
-              // Create Promise for the tool call - using parameters with security data
-              const toolCallPromise = this.mcp.callTool({
-                name: toolName,
-                arguments: secureArgs,
-              });
-
-              // Create timeout Promise
-              const timeoutPromise = new Promise((_resolve, reject) => {
-                setTimeout(() => {
-                  reject(
-                    new Error(
-                      `Tool call ${toolName} timed out after ${
-                        TOOL_CALL_TIMEOUT_MS / 1000
-                      } seconds`
-                    )
-                  );
-                }, TOOL_CALL_TIMEOUT_MS);
-              });
-
-              try {
-                // Race the two Promises, return whoever finishes first
-                return await Promise.race([toolCallPromise, timeoutPromise]);
-              } catch (error) {
-                console.error(`Failed to call tool ${toolName}:`, error);
-                throw error;
-              }
-            };
-
-            try {
-              console.log(
-                `Starting tool call: ${toolName}, using full DeProof validation`
-              );
-              const result = (await callToolWithTimeout()) as ToolCallResult;
-              console.log(
-                `Tool ${toolName} returned result:`,
-                JSON.stringify(result.content).substring(0, 200) + "..."
-              );
-
-              messages.push({
-                tool_call_id: toolCall.id,
-                role: "tool",
-                content: result.content as string,
-              });
-            } catch (error) {
-              console.error(`Error calling tool ${toolName}:`, error);
-              const errorMsg =
-                error instanceof Error
-                  ? `Tool call error: ${error.message}`
-                  : `Tool call error: ${String(error)}`;
-
-              console.log(`Sending error information back to LLM:`, errorMsg);
-
-              messages.push({
-                tool_call_id: toolCall.id,
-                role: "tool",
-                content: errorMsg,
-              });
-            }
-          }
-
-          console.log(
-            "All tool calls completed, sending results back to LLM..."
-          );
+          deProof = await this.signToolCall(server, toolName, deProofGenArgs);
         } catch (error) {
-          console.error("Error executing one or more tool calls:", error);
-          return `Error executing tool calls: ${
+          log.error("Could not sign the tool call", { tool: toolName, error });
+          const errorMsg = `Tool call error: could not sign the call, ${
             error instanceof Error ? error.message : String(error)
           }`;
+          this.progress.line("✗", `${llmToolName}: ${summarize(errorMsg)}`);
+          return {
+            tool_call_id: toolCall.id,
+            role: "tool",
+            content: errorMsg,
+          };
         }
+        // Add validation data to parameters, using the cleaned args as base
+        secureArgs = {
+          ...deProofGenArgs, // Start with cleaned args
+          _deProof: deProof, // Add the real _deProof
+        };
+      }
 
-        // The second LLM request
-        console.log("\n==========================================");
-        console.log("Sending tool results back to LLM to get final reply...");
-        console.log("==========================================");
+      let result: ToolCallResult;
+      const callStartTime = Date.now();
+      try {
+        log.info("Calling tool", {
+          server: server.name,
+          tool: toolName,
+          deProof: useDeProof,
+        });
+        result = await this.callToolWithTimeout(server, toolName, secureArgs);
+        log.debug("Tool result", { tool: toolName, content: result.content });
+      } catch (error) {
+        const errorMsg =
+          error instanceof Error
+            ? `Tool call error: ${error.message}`
+            : `Tool call error: ${String(error)}`;
+        this.progress.line("✗", `${llmToolName}: ${summarize(errorMsg)}`);
 
-        const secondResponse = await this.openai.chat.completions.create({
-          model: process.env.OPENAI_MODEL as string,
-          messages: messages,
+        return {
+          tool_call_id: toolCall.id,
+          role: "tool",
+          content: errorMsg,
+        };
+      }
+
+      // Check the server's receipt before the result is used for anything
+      const receiptProblem = this.checkReceipt(
+        server,
+        toolName,
+        deProof?.digest ?? null,
+        result
+      );
+      if (receiptProblem && server.receiptMode === "require") {
+        log.error("Refusing result", {
+          tool: toolName,
+          reason: receiptProblem,
+        });
+        this.progress.line(
+          "✗",
+          `${llmToolName}: result refused, ${receiptProblem}`
+        );
+        return {
+          tool_call_id: toolCall.id,
+          role: "tool",
+          content: `Tool call error: result refused, ${receiptProblem}`,
+        };
+      }
+      if (receiptProblem) {
+        log.warn("Unverified result", {
+          tool: toolName,
+          reason: receiptProblem,
         });
+        this.progress.line("⚠", `${llmToolName}: ${receiptProblem}`);
+      }
 
-        console.log("Received final LLM response");
+      // Recover automatically from errors where signing again is safe. Dropping
+      // sessions and keys and shifting the clock need a receipt proving that the
+      // server sent the error (receipts "off" or a failed check in "warn" mode
+      // only allow UNVERIFIED_RECOVERIES)
+      const deProofError = parseDeProofError(result);
+      const receiptVerified =
+        server.receiptMode !== "off" && receiptProblem === null;
+      if (deProofError && deProof && attempt < MAX_RECOVERY_ATTEMPTS) {
+        const recovery = planRecovery(deProofError, deProof);
         if (
-          !secondResponse.choices ||
-          secondResponse.choices.length === 0 ||
-          !secondResponse.choices[0].message
+          recovery &&
+          !receiptVerified &&
+          !UNVERIFIED_RECOVERIES.includes(recovery.kind)
         ) {
-          console.error(
-            "LLM second response missing required fields",
-            secondResponse
-          );
-          return "Error: LLM returned an invalid response after processing tool call results";
+          log.warn("Not recovering from an error without a verified receipt", {
+            tool: toolName,
+            code: deProofError.code,
+            recovery: recovery.kind,
+          });
+        } else if (recovery) {
+          log.info("Recovering from DeProof error", {
+            tool: toolName,
+            code: deProofError.code,
+            reason: deProofError.message,
+            data: deProofError.data,
+          });
+          this.progress.line("↻", `${llmToolName}: ${recovery.reason}`);
+          await this.applyRecovery(server, recovery, deProof);
+          continue;
         }
-        finalResponseText = secondResponse.choices[0].message.content || "";
+      }
+
+      if (deProofError) {
+        log.warn("Tool call failed", {
+          tool: toolName,
+          code: deProofError.code,
+          reason: deProofError.message,
+          data: deProofError.data,
+        });
+        this.progress.line(
+          "✗",
+          `${llmToolName}: ${describeDeProofError(deProofError)}`
+        );
       } else {
-        finalResponseText = responseMessage.content || "";
+        const resultText = Array.isArray(result.content)
+          ? result.content
+              .map((item: any) => (item.type === "text" ? item.text : ""))
+              .join(" ")
+          : result.content;
+        this.progress.line(
+          result.isError ? "✗" : "✓",
+          `${llmToolName} (${Date.now() - callStartTime} ms) ${summarize(
+            resultText
+          )}`
+        );
       }
 
-      return finalResponseText;
+      return {
+        tool_call_id: toolCall.id,
+        role: "tool",
+        content: result.content as string,
+      };
+    }
+  }
+
+  private async signToolCall(
+    server: ServerConnection,
+    toolName: string,
+    args: Record<string, any>
+  ): Promise<DeProof> {
+    /**
+     * Generate a DeProof for a tool call in the server's session
+     *
+     * @param server - The server the call is sent to
+     * @param toolName - The tool name on that server
+     * @param args - The cleaned tool arguments
+     */
+    // Serialized, so parallel calls draw distinct nonces and open a single session
+    return this.runExclusive(async () => {
+      log.debug("Signing tool call", { tool: toolName, args });
+      const session = await this.ensureSession(server);
+      const sessionKey = DEPROOF_DELEGATION
+        ? await this.getSessionKey(server, session, toolName)
+        : null;
+      const deProof: DeProof = await generateDeProof(
+        args, // Use cleaned args for DeProof generation
+        sessionKey?.wallet ?? this.wallet,
+        session,
+        {
+          tool: toolName,
+          method: "tools/call",
+          audience: server.audience,
+        },
+        DEPROOF_SCHEME as DeProofScheme,
+        sessionKey?.certificate,
+        server.clockOffsetMs
+      );
+      // Persist before sending, the nonce counts as used from now on
+      await this.persistSession();
+      this.progress.line(
+        "✎",
+        `signed DeProof (${deProof.scheme}, nonce ${
+          deProof.nonce
+        }, session ${deProof.session.substring(0, 8)})`
+      );
+      return deProof;
+    });
+  }
+
+  private async getSessionKey(
+    server: ServerConnection,
+    session: string,
+    toolName: string
+  ): Promise<SessionKey | null> {
+    /**
+     * Get a session key that may sign this call, certifying a new one if needed
+     *
+     * @returns The key, or null if the tool is not delegated (the wallet signs it itself)
+     */
+    const tools = DELEGATION_POLICY.tools ?? server.toolNames;
+    if (!tools.includes(toolName)) {
+      log.info("Tool is not delegated, signing with the wallet", {
+        tool: toolName,
+      });
+      return null;
+    }
+    const current = server.sessionKey;
+    if (
+      current &&
+      isSessionKeyUsable(
+        current,
+        session,
+        toolName,
+        exportNonces()[current.wallet.address]?.[session] ?? 0
+      )
+    ) {
+      return current;
+    }
+
+    server.sessionKey = await createSessionKey(
+      this.wallet,
+      server.audience,
+      session,
+      tools,
+      DELEGATION_POLICY
+    );
+    const { certificate } = server.sessionKey;
+    this.progress.line(
+      "⚿",
+      `certified session key ${certificate.delegate.substring(0, 10)} for ${
+        tools.length
+      } tools until ${certificate.expiresAt}${
+        certificate.maxCalls > 0 ? ` (${certificate.maxCalls} calls)` : ""
+      }`
+    );
+    return server.sessionKey;
+  }
+
+  private async ensureSession(server: ServerConnection): Promise<string> {
+    /**
+     * Get the server's DeProof session, asking the server to issue one if there is none
+     */
+    if (server.session) {
+      return server.session;
+    }
+    if (!server.issuesSessions) {
+      // Servers without session challenges accept a session id chosen by the client
+      server.session = randomUUID();
+    } else {
+      const challengeNonce = randomBytes(32).toString("hex");
+      const result = await this.callToolWithTimeout(
+        server,
+        DEPROOF_OPEN_SESSION_TOOL,
+        { [CHALLENGE_NONCE_ARGUMENT]: challengeNonce }
+      );
+      const receiptProblem = this.checkReceipt(
+        server,
+        DEPROOF_OPEN_SESSION_TOOL,
+        challengeNonce,
+        result
+      );
+      if (receiptProblem && server.receiptMode === "require") {
+        throw new Error(`Session challenge refused, ${receiptProblem}`);
+      }
+      if (receiptProblem) {
+        this.progress.line("⚠", `session challenge: ${receiptProblem}`);
+      }
+      const issued: IssuedSession | undefined = result._meta?.session;
+      if (result.isError || typeof issued?.session !== "string") {
+        const error = parseDeProofError(result);
+        throw new Error(
+          `"${server.name}" did not issue a session${
+            error ? `: ${describeDeProofError(error)}` : ""
+          }`
+        );
+      }
+      server.session = issued.session;
+    }
+    log.info("Created new DeProof session", {
+      server: server.name,
+      session: server.session.substring(0, 8),
+    });
+    await this.persistSession();
+    return server.session;
+  }
+
+  private async closeSession(server: ServerConnection, session: string) {
+    /**
+     * Close a session on the server, e.g. one abandoned with --new-session
+     */
+    try {
+      await this.runExclusive(async () => {
+        const deProof = await generateDeProof(
+          {},
+          this.wallet,
+          session,
+          {
+            tool: DEPROOF_CLOSE_SESSION_TOOL,
+            method: "tools/call",
+            audience: server.audience,
+          },
+          DEPROOF_SCHEME as DeProofScheme,
+          undefined,
+          server.clockOffsetMs
+        );
+        await this.persistSession();
+        const result = await this.callToolWithTimeout(
+          server,
+          DEPROOF_CLOSE_SESSION_TOOL,
+          { _deProof: deProof }
+        );
+        const error = parseDeProofError(result);
+        if (error) {
+          throw new Error(describeDeProofError(error));
+        }
+        log.info("Closed DeProof session", {
+          server: server.name,
+          session: session.substring(0, 8),
+        });
+      });
     } catch (error) {
-      console.error("Error processing query with LLM:", error);
+      // The server expires the session by itself
+      log.warn("Could not close DeProof session", {
+        server: server.name,
+        session: session.substring(0, 8),
+        error,
+      });
+    }
+  }
+
+  private checkReceipt(
+    server: ServerConnection,
+    toolName: string,
+    requestDigest: string | null,
+    result: ToolCallResult
+  ): string | null {
+    /**
+     * Verify a tool result's receipt against the server's pinned address
+     *
+     * @returns Why the result could not be verified, or null if it was
+     */
+    if (server.receiptMode === "off") {
+      return null;
+    }
+    const check = verifyReceipt(result, {
+      serverAddress: server.serverAddress,
+      audience: server.audience,
+      tool: toolName,
+      requestDigest,
+      clockOffsetMs: server.clockOffsetMs,
+    });
+    if (!check.valid) {
+      return `receipt check failed: ${check.reason}`;
+    }
+    if (!server.serverAddress) {
+      server.serverAddress = check.receipt.signerAddress;
+      this.progress.line(
+        "⚠",
+        `"${server.name}" signs results as ${server.serverAddress}, pinned for this run (set serverAddress to pin it)`
+      );
+    }
+    return null;
+  }
+
+  private async applyRecovery(
+    server: ServerConnection,
+    recovery: RecoveryAction,
+    rejectedProof: DeProof
+  ) {
+    /**
+     * Update the server's DeProof state so the next proof is accepted
+     */
+    if (recovery.kind === "wait") {
+      // Outside the signing queue, so other calls are not held up
+      await new Promise((resolve) => setTimeout(resolve, recovery.delayMs));
+      return;
+    }
+    await this.runExclusive(async () => {
+      if (recovery.kind === "adjust-clock") {
+        log.warn(
+          "Client clock differs from the server, correcting timestamps",
+          {
+            server: server.name,
+            offsetMs: recovery.offsetMs,
+          }
+        );
+        server.clockOffsetMs = recovery.offsetMs;
+        return;
+      }
+      // A parallel call may already have replaced the session or key
+      if (rejectedProof.session !== server.session) {
+        return;
+      }
+      if (recovery.kind === "resync") {
+        const { signerAddress, session } = rejectedProof;
+        if (recovery.rewind) {
+          setNextNonce(signerAddress, session, recovery.nextNonce);
+        } else {
+          advanceNextNonce(signerAddress, session, recovery.nextNonce);
+        }
+      } else if (recovery.kind === "new-session-key") {
+        if (server.sessionKey?.wallet.address === rejectedProof.signerAddress) {
+          server.sessionKey = null;
+        }
+      } else {
+        server.session = null;
+      }
+      await this.persistSession();
+    });
+  }
+
+  // Chain the operation after every previously queued one
+  private runExclusive<T>(operation: () => Promise<T>): Promise<T> {
+    const result = this.signingQueue.then(operation);
+    this.signingQueue = result.catch(() => undefined);
+    return result;
+  }
+
+  private async callToolWithTimeout(
+    server: ServerConnection,
+    toolName: string,
+    args: Record<string, any>
+  ): Promise<ToolCallResult> {
+    /**
+     * Call a tool on a server, cancelling it after TOOL_CALL_TIMEOUT_MS
+     */
+    // On abort the SDK sends notifications/cancelled, so the server stops the call too
+    const signal = AbortSignal.timeout(TOOL_CALL_TIMEOUT_MS);
+    try {
+      return (await server.client.callTool(
+        { name: toolName, arguments: args },
+        undefined,
+        // The SDK's own timeout (60 s by default) must not end the call first
+        { signal, timeout: TOOL_CALL_TIMEOUT_MS }
+      )) as ToolCallResult;
+    } catch (error) {
+      if (
+        signal.aborted ||
+        (error instanceof McpError && error.code === ErrorCode.RequestTimeout)
+      ) {
+        log.error("Tool call timed out, cancelled it", {
+          tool: toolName,
+          timeoutMs: TOOL_CALL_TIMEOUT_MS,
+        });
+        throw new Error(
+          `Tool call ${toolName} timed out after ${
+            TOOL_CALL_TIMEOUT_MS / 1000
+          } seconds`
+        );
+      }
+      log.error("Failed to call tool", { tool: toolName, error });
+      throw error;
+    }
+  }
+
+  private async streamCompletion(
+    messages: ChatCompletionMessageParam[],
+    offerTools: boolean
+  ): Promise<ChatCompletionAssistantMessageParam | null> {
+    /**
+     * Send the conversation to the LLM as a streaming request
+     *
+     * @param messages - The conversation so far
+     * @param offerTools - Whether the LLM may request tool calls
+     * @returns The assembled assistant message, or null if the stream had no choices
+     */
+    const useTools = offerTools && this.tools.length > 0;
+    const stream = await this.openai.chat.completions.create({
+      model: process.env.OPENAI_MODEL as string,
+      messages: messages,
+      tools: useTools ? this.tools : undefined,
+      tool_choice: useTools ? "auto" : undefined,
+      stream: true,
+    });
+
+    this.progress.beginStep();
+    let receivedChoice = false;
+    let content = "";
+    // Tool calls arrive as fragments keyed by index and are concatenated
+    const toolCalls: ChatCompletionMessageToolCall[] = [];
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta;
+      if (!delta) {
+        continue;
+      }
+      receivedChoice = true;
+      if (delta.content) {
+        content += delta.content;
+        this.progress.answerToken(delta.content);
+      }
+      for (const toolCallDelta of delta.tool_calls ?? []) {
+        if (!toolCalls[toolCallDelta.index]) {
+          toolCalls[toolCallDelta.index] = {
+            id: "",
+            type: "function",
+            function: { name: "", arguments: "" },
+          };
+          this.progress.line("…", "LLM is preparing a tool call");
+        }
+        const toolCall = toolCalls[toolCallDelta.index];
+        if (toolCallDelta.id) {
+          toolCall.id = toolCallDelta.id;
+        }
+        toolCall.function.name += toolCallDelta.function?.name ?? "";
+        toolCall.function.arguments += toolCallDelta.function?.arguments ?? "";
+      }
+    }
+
+    if (!receivedChoice) {
+      log.error("LLM stream ended without any choices");
+      return null;
+    }
+    const assembledToolCalls = toolCalls.filter(Boolean);
+    return {
+      role: "assistant",
+      content: content || null,
+      tool_calls:
+        assembledToolCalls.length > 0 ? assembledToolCalls : undefined,
+    };
+  }
+
+  async processQuery(query: string) {
+    /**
+     * Process a query using LLM and available tools, as a multi-step agent loop:
+     * tool results are sent back to the LLM until it answers without requesting
+     * more tools or MAX_AGENT_STEPS is reached. The conversation history is kept
+     * across queries.
+     *
+     * @param query - The user's input query
+     * @returns Processed response as a string
+     */
+    const messages = this.history;
+    const historyLength = messages.length;
+    messages.push({
+      role: "user",
+      content: query,
+    });
+
+    try {
+      for (let step = 1; step <= MAX_AGENT_STEPS; step++) {
+        log.debug("Sending request to LLM", {
+          step,
+          maxSteps: MAX_AGENT_STEPS,
+        });
+
+        // Stream the LLM response; answer tokens are printed as they arrive
+        const responseMessage = await this.streamCompletion(messages, true);
+        if (!responseMessage) {
+          messages.length = historyLength;
+          return "Error: LLM returned an invalid response";
+        }
+        const toolCalls = responseMessage.tool_calls;
+        messages.push(responseMessage);
+
+        if (!toolCalls || toolCalls.length === 0) {
+          return (responseMessage.content as string) || "";
+        }
+
+        log.debug("LLM requests tool calls", {
+          tools: toolCalls.map((tc) => tc.function.name),
+        });
+
+        // Prepare the calls one by one first, so approval questions are not
+        // interrupted by the progress of calls already running
+        const preparedCalls: (
+          | PreparedToolCall
+          | ChatCompletionToolMessageParam
+        )[] = [];
+        for (const toolCall of toolCalls) {
+          preparedCalls.push(await this.prepareToolCall(toolCall));
+        }
+
+        // Run the tool calls in parallel (the server accepts nonces out of order
+        // within its window); results are added in the order the LLM requested them
+        const toolMessages = await Promise.all(
+          preparedCalls.map((call) =>
+            "role" in call ? call : this.executeToolCall(call)
+          )
+        );
+        messages.push(...toolMessages);
+      }
+
+      // Step limit reached: ask for a final answer without offering tools
+      log.warn("Reached the step limit, asking LLM for a final reply", {
+        maxSteps: MAX_AGENT_STEPS,
+      });
+
+      const finalMessage = await this.streamCompletion(messages, false);
+      if (!finalMessage) {
+        messages.length = historyLength;
+        return "Error: LLM returned an invalid response after processing tool call results";
+      }
+      messages.push(finalMessage);
+      return (finalMessage.content as string) || "";
+    } catch (error) {
+      // Drop the incomplete turn, so the history stays a valid conversation
+      messages.length = historyLength;
+      log.error("Error processing query with LLM", { error });
       if (error instanceof OpenAI.APIError) {
         return `LLM error: ${error.status} ${error.name} ${error.message}`;
       }
@@ -343,59 +1173,185 @@ class MCPClient {
       input: process.stdin,
       output: process.stdout,
     });
+    // Ends pending questions when the input ends (e.g. piped questions), like "quit"
+    const inputClosed = new AbortController();
+    rl.once("close", () => inputClosed.abort());
+    const ask: Prompt = (question) =>
+      rl.question(question, { signal: inputClosed.signal });
+    this.prompt = ask;
 
     try {
       console.log("\n=================================");
       console.log("MCP client started (using full DeProof validation)");
+      if (this.approver) {
+        console.log("Tool calls are signed only after your approval");
+      }
       console.log("Enter your question or type 'quit' to exit");
+      console.log("Commands: /reset (clear conversation), /history, /help");
       console.log("=================================");
 
       while (true) {
-        const message = await rl.question("\nQuestion: ");
+        let message: string;
+        try {
+          message = await ask("\nQuestion: ");
+        } catch (error) {
+          if (inputClosed.signal.aborted) {
+            break;
+          }
+          throw error;
+        }
         if (message.toLowerCase() === "quit") {
           break;
         }
         if (!message.trim()) {
           continue;
         }
+        if (message.trim().startsWith("/")) {
+          this.handleCommand(message.trim());
+          continue;
+        }
         console.log("\nProcessing...");
+        this.progress.beginTurn();
         const response = await this.processQuery(message);
-        console.log("\nAnswer:\n" + response);
+        // The answer has already been streamed, unless it is an error message
+        if (this.progress.endTurn() !== response) {
+          console.log("\nAnswer:\n" + response);
+        }
       }
     } finally {
+      this.prompt = null;
       rl.close();
     }
   }
 
+  private handleCommand(command: string) {
+    /**
+     * Handle a REPL command
+     *
+     * @param command - The command line, starting with "/"
+     */
+    switch (command.split(/\s+/)[0].toLowerCase()) {
+      case "/reset":
+        this.history = [];
+        console.log("Conversation history cleared");
+        break;
+      case "/history": {
+        const turns = this.history.filter((m) => m.role === "user").length;
+        const toolResults = this.history.filter(
+          (m) => m.role === "tool"
+        ).length;
+        console.log(
+          `Conversation history: ${this.history.length} messages, ${turns} questions, ${toolResults} tool results`
+        );
+        break;
+      }
+      case "/help":
+        console.log("/reset    Clear the conversation history");
+        console.log("/history  Show the size of the conversation history");
+        console.log("quit      Exit the client");
+        break;
+      default:
+        console.log(`Unknown command: ${command} (type /help)`);
+    }
+  }
+
   async cleanup() {
     /**
      * Clean up resources
      */
-    console.log("\nCleaning up resources...");
-    try {
-      await this.mcp.close();
-      console.log("Successfully closed MCP connection");
-    } catch (error) {
-      console.error("Error closing MCP connection:", error);
+    for (const server of this.servers.values()) {
+      try {
+        // Let an HTTP server drop its MCP session right away
+        if (server.transport instanceof StreamableHTTPClientTransport) {
+          await server.transport.terminateSession();
+        }
+        await server.client.close();
+        log.info("Closed MCP connection", { server: server.name });
+      } catch (error) {
+        log.error("Error closing MCP connection", {
+          server: server.name,
+          error,
+        });
+      }
     }
   }
 }
 
 async function main() {
-  if (process.argv.length < 3) {
-    console.log("Usage: node build/index.js <server script path>");
+  const args = process.argv.slice(2);
+  const startFresh = args.includes("--new-session");
+  const approvalMode = args.includes("--approve") ? "ask" : DEPROOF_APPROVAL;
+  const configFlagIndex = args.indexOf("--config");
+  const configPath =
+    configFlagIndex >= 0
+      ? args[configFlagIndex + 1]
+      : process.env.MCP_SERVERS_CONFIG;
+  const positionalArgs = args.filter(
+    (arg, index) =>
+      !arg.startsWith("--") &&
+      (configFlagIndex < 0 || index !== configFlagIndex + 1)
+  );
+  if (!configPath && positionalArgs.length < 1) {
+    console.log(
+      "Usage: node build/index.js <server script path> [--new-session] [--approve]"
+    );
+    console.log(
+      "       node build/index.js <server URL> [--new-session] [--approve]"
+    );
+    console.log(
+      "       node build/index.js --config <servers config file> [--new-session] [--approve]"
+    );
     console.log("Ensure 'npm run build' is run first!");
     return;
   }
-  const mcpClient = new MCPClient();
+  let wallet: DeProofSigner;
   try {
-    await mcpClient.connectToServer(process.argv[2]);
+    wallet = await loadSignerFromEnvironment();
+  } catch (error) {
+    log.error("Could not load the signing key", { error });
+    process.exit(1);
+  }
+  let approver: ToolApprover | null = null;
+  const approvalPolicyPath = process.env.DEPROOF_APPROVAL_POLICY;
+  if (approvalMode === "ask") {
+    try {
+      approver = new ToolApprover(
+        approvalPolicyPath
+          ? await ApprovalPolicy.load(approvalPolicyPath)
+          : ApprovalPolicy.empty()
+      );
+    } catch (error) {
+      log.error("Could not load the approval policy", { error });
+      process.exit(1);
+    }
+  } else if (approvalPolicyPath) {
+    log.warn(
+      "DEPROOF_APPROVAL_POLICY is ignored without DEPROOF_APPROVAL=ask or --approve"
+    );
+  }
+  const mcpClient = new MCPClient(wallet, approver);
+  let exitCode = 0;
+  try {
+    // A single server script or URL is treated as a config with one server named "default"
+    const servers = configPath
+      ? await loadServersConfig(configPath)
+      : {
+          default: {
+            ...(isServerUrl(positionalArgs[0])
+              ? serverConfigFromUrl(positionalArgs[0])
+              : serverConfigFromScript(positionalArgs[0])),
+            serverAddress: process.env.DEPROOF_SERVER_ADDRESS,
+          },
+        };
+    await mcpClient.initSession(startFresh);
+    await mcpClient.connectToServers(servers);
     await mcpClient.chatLoop();
   } catch (error) {
-    console.error("\nError occurred during execution:", error);
+    log.error("Error occurred during execution", { error });
+    exitCode = 1;
   } finally {
     await mcpClient.cleanup();
-    process.exit(0);
+    process.exit(exitCode);
   }
 }
 
@@ -0,0 +1,77 @@
+/**
+ * Terminal output for a chat turn: streamed answer tokens interleaved with
+ * compact one-line progress updates for tool calls.
+ */
+export class ProgressReporter {
+  private midLine = false;
+  private answerStarted = false;
+  private stepText = "";
+  private readonly out: NodeJS.WriteStream;
+
+  constructor(out: NodeJS.WriteStream = process.stdout) {
+    this.out = out;
+  }
+
+  /**
+   * Start a new question
+   */
+  beginTurn() {
+    this.answerStarted = false;
+    this.stepText = "";
+  }
+
+  /**
+   * Start a new LLM call within the current question
+   */
+  beginStep() {
+    this.stepText = "";
+  }
+
+  /**
+   * Print a streamed answer token
+   */
+  answerToken(text: string) {
+    if (!this.answerStarted) {
+      this.write("\nAnswer:\n");
+      this.answerStarted = true;
+    }
+    this.stepText += text;
+    this.write(text);
+  }
+
+  /**
+   * Print a compact progress line, e.g. "→ calling weather__get-alerts"
+   */
+  line(symbol: string, text: string) {
+    if (this.midLine) {
+      this.write("\n");
+    }
+    this.write(`  ${symbol} ${text}\n`);
+  }
+
+  /**
+   * Finish the question and return the answer text streamed by the last LLM call
+   */
+  endTurn(): string {
+    if (this.midLine) {
+      this.write("\n");
+    }
+    return this.stepText;
+  }
+
+  private write(text: string) {
+    this.out.write(text);
+    this.midLine = !text.endsWith("\n");
+  }
+}
+
+/**
+ * Shorten a value for a progress line
+ */
+export function summarize(value: unknown, maxLength = 80): string {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  const singleLine = (text ?? "").replace(/\s+/g, " ");
+  return singleLine.length > maxLength
+    ? singleLine.substring(0, maxLength - 1) + "…"
+    : singleLine;
+}
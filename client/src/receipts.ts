@@ -0,0 +1,113 @@
+import { getBytes, keccak256, verifyMessage } from "ethers";
+import {
+  RECEIPT_VERSION,
+  DeProofReceipt,
+  receiptSigningPayload,
+  resultHashPayload,
+} from "deproof-shared";
+
+// Receipts not bound to a request older (or further in the future) than this
+// are rejected
+const RECEIPT_MAX_AGE_MS = 5 * 60 * 1000;
+
+// What a tool result's receipt must match
+export interface ReceiptExpectation {
+  // Pinned server address; null accepts any signer (the caller pins on first use)
+  serverAddress: string | null;
+  audience: string;
+  tool: string;
+  // Digest of the DeProof or challenge nonce sent with the request, null if
+  // neither was sent
+  requestDigest: string | null;
+  // Server clock minus the local clock, applied before the age check
+  clockOffsetMs: number;
+}
+
+export type ReceiptCheck =
+  | { valid: true; receipt: DeProofReceipt }
+  | { valid: false; reason: string };
+
+/**
+ * Verify the server-signed receipt in a tool result's _meta.receipt
+ *
+ * @param result - The tool result as received from the server
+ * @param expected - The server, tool and request the result must answer
+ */
+export function verifyReceipt(
+  result: any,
+  expected: ReceiptExpectation
+): ReceiptCheck {
+  const receipt = result?._meta?.receipt as DeProofReceipt | undefined;
+  if (!receipt || typeof receipt !== "object") {
+    return { valid: false, reason: "result has no receipt" };
+  }
+  if (receipt.version !== RECEIPT_VERSION) {
+    return {
+      valid: false,
+      reason: `unsupported receipt version ${receipt.version}`,
+    };
+  }
+
+  try {
+    const resultHash = keccak256(Buffer.from(resultHashPayload(result))).slice(
+      2
+    );
+    if (resultHash !== receipt.resultHash) {
+      return { valid: false, reason: "result does not match receipt" };
+    }
+
+    const receiptHash = keccak256(Buffer.from(receiptSigningPayload(receipt)));
+    const recovered = verifyMessage(
+      getBytes(receiptHash),
+      "0x" + receipt.signature
+    );
+    if (
+      recovered.toLowerCase() !== String(receipt.signerAddress).toLowerCase()
+    ) {
+      return { valid: false, reason: "receipt signature is invalid" };
+    }
+  } catch (error) {
+    return {
+      valid: false,
+      reason: `receipt could not be checked: ${
+        error instanceof Error ? error.message : String(error)
+      }`,
+    };
+  }
+
+  if (
+    expected.serverAddress &&
+    receipt.signerAddress.toLowerCase() !== expected.serverAddress.toLowerCase()
+  ) {
+    return {
+      valid: false,
+      reason: `receipt signed by ${receipt.signerAddress}, expected ${expected.serverAddress}`,
+    };
+  }
+  if (
+    receipt.audience !== expected.audience ||
+    receipt.tool !== expected.tool
+  ) {
+    return {
+      valid: false,
+      reason: `receipt is for ${receipt.tool} on ${receipt.audience}`,
+    };
+  }
+  if (receipt.requestDigest !== expected.requestDigest) {
+    return { valid: false, reason: "receipt answers a different request" };
+  }
+  // A receipt bound to the request just sent cannot be a replay; one without a
+  // request could be, so its age is checked against the server's clock
+  if (expected.requestDigest === null) {
+    const age =
+      Date.now() + expected.clockOffsetMs - Date.parse(receipt.timestamp);
+    if (Number.isNaN(age) || Math.abs(age) > RECEIPT_MAX_AGE_MS) {
+      return {
+        valid: false,
+        reason: `receipt timestamp ${receipt.timestamp} is out of range`,
+      };
+    }
+  }
+
+  return { valid: true, receipt };
+}
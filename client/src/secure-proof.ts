@@ -1,15 +1,59 @@
-import { Wallet } from "ethers";
+import { TypedDataEncoder } from "ethers";
 import { randomUUID } from "crypto";
 import { keccak256 } from "ethers";
+import { canonicalize, DeProofDelegation, getLogger } from "deproof-shared";
+import { DeProofSigner } from "./signers.js";
+
+const log = getLogger("DeProof");
+
+// Current DeProof format version (version 1 proofs carried no tool/method/audience binding)
+export const DEPROOF_VERSION = 2;
+
+// What a proof is bound to: the tool, the JSON-RPC method and the target server
+export interface DeProofBinding {
+  tool: string;
+  method: string;
+  audience: string;
+}
+
+// Signing scheme: "eip191" signs the raw digest (personal_sign),
+// "eip712" signs structured typed data that wallets can display
+export type DeProofScheme = "eip191" | "eip712";
+
+// EIP-712 domain and types for the "eip712" scheme (must match the server)
+export const DEPROOF_EIP712_DOMAIN = {
+  name: "DeProof",
+  version: String(DEPROOF_VERSION),
+};
+
+export const DEPROOF_EIP712_TYPES = {
+  DeProof: [
+    { name: "signer", type: "address" },
+    { name: "audience", type: "string" },
+    { name: "tool", type: "string" },
+    { name: "method", type: "string" },
+    { name: "session", type: "string" },
+    { name: "nonce", type: "uint256" },
+    { name: "timestamp", type: "string" },
+    { name: "paramsHash", type: "bytes32" },
+  ],
+};
 
 // Definition of DeProof
 export interface DeProof {
+  version: number;
+  scheme: DeProofScheme;
+  tool: string;
+  method: string;
+  audience: string;
   signerAddress: string;
   nonce: number;
   session: string;
   timestamp: string;
   digest: string;
   signature: string;
+  // Master wallet's certificate when signed by a delegated session key
+  delegation?: DeProofDelegation;
 }
 
 // Nonce storage - stored in client session
@@ -31,56 +75,132 @@ export function getAndIncNonce(signerAddress: string, session: string): number {
 }
 
 /**
- * Serialize request content for signing
- * Ensure all relevant fields are included and sorted in a stable order
+ * Set the next nonce of a session, e.g. to resynchronize with the nonce the server expects.
+ * Unlike importNonces this may move a counter backwards, so only use it with nonces that
+ * the server has confirmed were never consumed.
+ */
+export function setNextNonce(
+  signerAddress: string,
+  session: string,
+  nextNonce: number
+): void {
+  if (!nonceStore[signerAddress]) {
+    nonceStore[signerAddress] = {};
+  }
+  nonceStore[signerAddress][session] = nextNonce;
+}
+
+/**
+ * Move the next nonce of a session forward to at least nextNonce; never moves it backwards
  */
-function sortObjectKeys(obj: any): any {
-  if (typeof obj !== "object" || obj === null) {
-    return obj;
+export function advanceNextNonce(
+  signerAddress: string,
+  session: string,
+  nextNonce: number
+): void {
+  if (!nonceStore[signerAddress]) {
+    nonceStore[signerAddress] = {};
   }
-  if (Array.isArray(obj)) {
-    return obj.map(sortObjectKeys);
+  const current = nonceStore[signerAddress][session] ?? 0;
+  nonceStore[signerAddress][session] = Math.max(current, nextNonce);
+}
+
+/**
+ * Get a copy of all nonce counters, e.g. for persisting them
+ */
+export function exportNonces(): Record<string, Record<string, number>> {
+  return JSON.parse(JSON.stringify(nonceStore));
+}
+
+/**
+ * Restore nonce counters from a previous run. Counters only move forward,
+ * so restoring never lets a nonce be reused.
+ */
+export function importNonces(
+  nonces: Record<string, Record<string, number>>
+): void {
+  for (const [signerAddress, sessions] of Object.entries(nonces)) {
+    for (const [session, nextNonce] of Object.entries(sessions)) {
+      advanceNextNonce(signerAddress, session, nextNonce);
+    }
   }
-  return Object.keys(obj)
-    .sort()
-    .reduce((acc, key) => {
-      acc[key] = sortObjectKeys(obj[key]);
-      return acc;
-    }, {} as any);
 }
 
 /**
- * Generate a canonical string representation of parameters
+ * Build the audience identifier of a server from its MCP implementation info
  */
-export function canonicalStringify(value: any): string {
-  const sortedValue = sortObjectKeys(value);
-  return JSON.stringify(sortedValue);
+export function formatAudience(name: string, version: string): string {
+  return `${name}@${version}`;
 }
 
 /**
  * Generate a DeProof object for request parameters
+ *
+ * With a delegation certificate, signer is the session key it was issued to.
+ * clockOffsetMs (server minus local time) shifts the timestamp to the server's clock.
  */
 export async function generateDeProof(
   params: any,
-  wallet: Wallet,
-  currentSession: string | null
+  signer: DeProofSigner,
+  currentSession: string | null,
+  binding: DeProofBinding,
+  scheme: DeProofScheme = "eip191",
+  delegation?: DeProofDelegation,
+  clockOffsetMs = 0
+): Promise<DeProof> {
+  const proof = await signDeProof(
+    params,
+    signer,
+    currentSession,
+    binding,
+    scheme,
+    clockOffsetMs
+  );
+  // The certificate links the session key to the master wallet
+  return delegation ? { ...proof, delegation } : proof;
+}
+
+/**
+ * Sign the proof for the "eip191" or "eip712" scheme
+ */
+async function signDeProof(
+  params: any,
+  signer: DeProofSigner,
+  currentSession: string | null,
+  binding: DeProofBinding,
+  scheme: DeProofScheme,
+  clockOffsetMs: number
 ): Promise<DeProof> {
   // Use current session or create a new one
   const session = currentSession ?? randomUUID();
-  const timestamp = new Date().toISOString();
-  const nonce = getAndIncNonce(wallet.address, session);
+  const timestamp = new Date(Date.now() + clockOffsetMs).toISOString();
+  const nonce = getAndIncNonce(signer.address, session);
+
+  if (scheme === "eip712") {
+    return generateTypedDataDeProof(
+      params,
+      signer,
+      session,
+      nonce,
+      timestamp,
+      binding
+    );
+  }
 
   // Create data for signing
   const dataToSign = {
+    version: DEPROOF_VERSION,
+    tool: binding.tool,
+    method: binding.method,
+    audience: binding.audience,
     params: params,
     nonce,
     session,
     timestamp,
   };
 
-  // 1. Serialize request data
-  const serializedData = canonicalStringify(dataToSign);
-  console.log("Serialized data:", serializedData);
+  // 1. Serialize request data (RFC 8785 canonical JSON, shared with the server)
+  const serializedData = canonicalize(dataToSign);
 
   // 2. Calculate the digest
   const digest = keccak256(Buffer.from(serializedData));
@@ -88,20 +208,30 @@ export async function generateDeProof(
   const digestWithoutPrefix = digest.startsWith("0x")
     ? digest.slice(2)
     : digest;
-  console.log("Calculated digest:", digest);
 
-  // 3. Use the wallet private key to sign the digest
+  // 3. Sign the digest with the wallet key
   const messageBytes = Buffer.from(digestWithoutPrefix, "hex");
-  const signature = await wallet.signMessage(messageBytes);
+  const signature = await signer.signMessage(messageBytes);
   // Remove the 0x prefix to reduce data size
   const signatureWithoutPrefix = signature.startsWith("0x")
     ? signature.slice(2)
     : signature;
-  console.log("Generated signature:", signature.substring(0, 20) + "...");
+  log.debug("Signed proof", {
+    tool: binding.tool,
+    nonce,
+    serialized: serializedData,
+    digest,
+    signature,
+  });
 
   // 4. Construct and return the DeProof object
   return {
-    signerAddress: wallet.address,
+    version: DEPROOF_VERSION,
+    scheme: "eip191",
+    tool: binding.tool,
+    method: binding.method,
+    audience: binding.audience,
+    signerAddress: signer.address,
     nonce,
     session,
     timestamp,
@@ -109,3 +239,60 @@ export async function generateDeProof(
     signature: signatureWithoutPrefix,
   };
 }
+
+/**
+ * Generate a DeProof signed as EIP-712 typed data, so wallets can show what is being authorized
+ */
+async function generateTypedDataDeProof(
+  params: any,
+  signer: DeProofSigner,
+  session: string,
+  nonce: number,
+  timestamp: string,
+  binding: DeProofBinding
+): Promise<DeProof> {
+  // Parameters are committed to by hash, the rest of the message is human readable
+  const paramsHash = keccak256(Buffer.from(canonicalize(params)));
+  const message = {
+    signer: signer.address,
+    audience: binding.audience,
+    tool: binding.tool,
+    method: binding.method,
+    session,
+    nonce,
+    timestamp,
+    paramsHash,
+  };
+
+  const digest = TypedDataEncoder.hash(
+    DEPROOF_EIP712_DOMAIN,
+    DEPROOF_EIP712_TYPES,
+    message
+  );
+  const signature = await signer.signTypedData(
+    DEPROOF_EIP712_DOMAIN,
+    DEPROOF_EIP712_TYPES,
+    message
+  );
+  log.debug("Signed EIP-712 proof", {
+    tool: binding.tool,
+    nonce,
+    payload: message,
+    digest,
+    signature,
+  });
+
+  return {
+    version: DEPROOF_VERSION,
+    scheme: "eip712",
+    tool: binding.tool,
+    method: binding.method,
+    audience: binding.audience,
+    signerAddress: signer.address,
+    nonce,
+    session,
+    timestamp,
+    digest: digest.slice(2),
+    signature: signature.slice(2),
+  };
+}
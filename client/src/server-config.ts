@@ -0,0 +1,163 @@
+import { promises as fs } from "fs";
+
+// How signed result receipts are handled: not checked, warn on failure, or refuse the result
+export type ReceiptMode = "off" | "warn" | "require";
+
+export const RECEIPT_MODES: ReceiptMode[] = ["off", "warn", "require"];
+
+// Options shared by every server entry
+interface BaseServerConfig {
+  // Sign every tool call with a DeProof (default true)
+  requireDeProof?: boolean;
+  // Address the server signs result receipts with; pinned on first use if unset
+  serverAddress?: string;
+  // Receipt handling (default DEPROOF_RECEIPTS, or "warn")
+  receipts?: ReceiptMode;
+}
+
+// A server launched as a child process and spoken to over stdio
+export interface StdioServerConfig extends BaseServerConfig {
+  command: string;
+  args?: string[];
+  env?: Record<string, string>;
+}
+
+// A server reached over MCP Streamable HTTP
+export interface HttpServerConfig extends BaseServerConfig {
+  url: string;
+  // Extra request headers, e.g. for an authenticating proxy
+  headers?: Record<string, string>;
+}
+
+// One MCP server entry, in the same shape as other MCP host configs
+export type ServerConfig = StdioServerConfig | HttpServerConfig;
+
+/**
+ * Servers config file format:
+ * {
+ *   "mcpServers": {
+ *     "weather": {
+ *       "command": "node",
+ *       "args": ["../weather-server-typescript/build/index.js"],
+ *       "env": { "DEPROOF_NONCE_STORE": "file" },
+ *       "requireDeProof": true
+ *     },
+ *     "weather-remote": {
+ *       "url": "http://127.0.0.1:3000/mcp",
+ *       "serverAddress": "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+ *       "receipts": "require"
+ *     }
+ *   }
+ * }
+ */
+export interface ServersConfigFile {
+  mcpServers: Record<string, ServerConfig>;
+}
+
+// Separator between server name and tool name in the names exposed to the LLM
+export const TOOL_NAME_SEPARATOR = "__";
+
+// URLs accepted for HTTP servers
+const HTTP_URL_PATTERN = /^https?:\/\//;
+
+// Server names become part of LLM function names, which only allow [a-zA-Z0-9_-]
+const SERVER_NAME_PATTERN = /^[a-zA-Z0-9-]+$/;
+
+/**
+ * Build the namespaced tool name exposed to the LLM
+ */
+export function namespaceToolName(
+  serverName: string,
+  toolName: string
+): string {
+  return `${serverName}${TOOL_NAME_SEPARATOR}${toolName}`;
+}
+
+/**
+ * Whether a server entry is reached over HTTP rather than launched locally
+ */
+export function isHttpServerConfig(
+  config: ServerConfig
+): config is HttpServerConfig {
+  return "url" in config;
+}
+
+/**
+ * Whether a command line argument is a server URL rather than a script path
+ */
+export function isServerUrl(value: string): boolean {
+  return HTTP_URL_PATTERN.test(value);
+}
+
+/**
+ * Load and validate a servers config file
+ */
+export async function loadServersConfig(
+  configPath: string
+): Promise<Record<string, ServerConfig>> {
+  const raw = await fs.readFile(configPath, "utf8");
+  const parsed = JSON.parse(raw) as ServersConfigFile;
+  if (!parsed.mcpServers || typeof parsed.mcpServers !== "object") {
+    throw new Error(`${configPath}: missing "mcpServers" object`);
+  }
+
+  const servers: Record<string, ServerConfig> = {};
+  for (const [name, config] of Object.entries(parsed.mcpServers)) {
+    if (!SERVER_NAME_PATTERN.test(name)) {
+      throw new Error(
+        `${configPath}: invalid server name "${name}" (use letters, digits and "-")`
+      );
+    }
+    if (!config || typeof config !== "object") {
+      throw new Error(`${configPath}: server "${name}" is not an object`);
+    }
+    if ("url" in config) {
+      if (typeof config.url !== "string" || !isServerUrl(config.url)) {
+        throw new Error(`${configPath}: server "${name}" needs an http(s) url`);
+      }
+    } else if (typeof config.command !== "string") {
+      throw new Error(`${configPath}: server "${name}" has no command or url`);
+    }
+    if (config.receipts && !RECEIPT_MODES.includes(config.receipts)) {
+      throw new Error(
+        `${configPath}: server "${name}" has invalid receipts mode "${config.receipts}"`
+      );
+    }
+    servers[name] = config;
+  }
+
+  if (Object.keys(servers).length === 0) {
+    throw new Error(`${configPath}: no servers configured`);
+  }
+  return servers;
+}
+
+/**
+ * Build a config entry for a single server script (.js or .py)
+ */
+export function serverConfigFromScript(
+  serverScriptPath: string
+): StdioServerConfig {
+  // Determine script type and appropriate command
+  const isJs = serverScriptPath.endsWith(".js");
+  const isPy = serverScriptPath.endsWith(".py");
+  if (!isJs && !isPy) {
+    throw new Error("Server script must be a .js or .py file");
+  }
+  const command = isPy
+    ? process.platform === "win32"
+      ? "python"
+      : "python3"
+    : process.execPath;
+  return { command, args: [serverScriptPath], requireDeProof: true };
+}
+
+/**
+ * Build a config entry for a single server URL
+ */
+export function serverConfigFromUrl(url: string): HttpServerConfig {
+  if (!isServerUrl(url)) {
+    throw new Error("Server URL must start with http:// or https://");
+  }
+  return { url, requireDeProof: true };
+}
@@ -0,0 +1,226 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { createCipheriv, createDecipheriv, randomBytes } from "crypto";
+import { toUtf8Bytes } from "ethers";
+import { getLogger } from "deproof-shared";
+import { PersistedSessionKey } from "./delegation.js";
+
+const log = getLogger("SessionStore");
+
+// Client DeProof state that survives restarts
+export interface PersistedSessionState {
+  signerAddress: string;
+  // Key: server name -> Value: active session id on that server
+  activeSessions: Record<string, string>;
+  // Key: signerAddress -> Key: session -> Value: next nonce to use
+  nonces: Record<string, Record<string, number>>;
+  // Key: server name -> Value: delegated session key for its active session
+  sessionKeys?: Record<string, PersistedSessionKey>;
+  updatedAt: string;
+}
+
+// Encrypted file layout (all binary fields are hex encoded)
+interface EncryptedSessionFile {
+  // 2: encrypted with the key file; 1: with a key derived from a wallet signature
+  version: number;
+  // Wallet the file belongs to, in plaintext and authenticated
+  signerAddress?: string;
+  iv: string;
+  authTag: string;
+  ciphertext: string;
+}
+
+const SESSION_FILE_VERSION = 2;
+
+/**
+ * Default location of the session file: next to the .env file in the working directory
+ */
+export function defaultSessionFilePath(): string {
+  return path.resolve(
+    process.env.DEPROOF_SESSION_FILE ||
+      path.join(process.cwd(), ".deproof-session")
+  );
+}
+
+// File holding the session file's encryption key
+export function sessionKeyFilePath(sessionFilePath: string): string {
+  return `${sessionFilePath}.key`;
+}
+
+/**
+ * Read the 32-byte key from the key file, creating it (mode 0600) if there is none
+ *
+ * @returns The key and whether it was just created
+ */
+async function loadOrCreateKey(
+  keyPath: string
+): Promise<{ key: Buffer; created: boolean }> {
+  const key = randomBytes(32);
+  try {
+    await fs.writeFile(keyPath, key.toString("hex") + "\n", {
+      mode: 0o600,
+      flag: "wx",
+    });
+    log.info("Created session key file", { file: keyPath });
+    return { key, created: true };
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== "EEXIST") {
+      throw new Error(
+        `Cannot create session key file ${keyPath}: ${
+          error instanceof Error ? error.message : String(error)
+        }`
+      );
+    }
+  }
+
+  let hex: string;
+  try {
+    hex = (await fs.readFile(keyPath, "utf8")).trim();
+  } catch (error) {
+    throw new Error(
+      `Cannot read session key file ${keyPath}: ${
+        error instanceof Error ? error.message : String(error)
+      }`
+    );
+  }
+  if (!/^[0-9a-f]{64}$/i.test(hex)) {
+    throw new Error(
+      `Invalid session key file ${keyPath} (delete it to start fresh sessions)`
+    );
+  }
+  return { key: Buffer.from(hex, "hex"), created: false };
+}
+
+/**
+ * Encrypted, file-backed store for the client session id and nonce counters.
+ *
+ * The AES-256-GCM key is a random secret kept in <session file>.key, created on
+ * first use; it is not derived from the wallet, so opening the store needs no
+ * signature. The file names its wallet in plaintext; a file of another wallet
+ * is ignored and overwritten.
+ */
+export class EncryptedSessionStore {
+  private readonly filePath: string;
+  private readonly key: Buffer;
+  // The key file was just created, so no existing session file can be decrypted
+  private readonly keyCreated: boolean;
+  private readonly signerAddress: string;
+
+  private constructor(
+    filePath: string,
+    key: Buffer,
+    keyCreated: boolean,
+    signerAddress: string
+  ) {
+    this.filePath = filePath;
+    this.key = key;
+    this.keyCreated = keyCreated;
+    this.signerAddress = signerAddress;
+  }
+
+  /**
+   * Open the store for a wallet, creating the key file if needed
+   *
+   * @throws If the key file cannot be read or created
+   */
+  static async open(
+    filePath: string,
+    signerAddress: string
+  ): Promise<EncryptedSessionStore> {
+    const { key, created } = await loadOrCreateKey(
+      sessionKeyFilePath(filePath)
+    );
+    return new EncryptedSessionStore(filePath, key, created, signerAddress);
+  }
+
+  /**
+   * Load the persisted state, or null if there is no session file yet or it
+   * belongs to another wallet
+   *
+   * @throws If the file of this wallet cannot be read or decrypted
+   */
+  async load(): Promise<PersistedSessionState | null> {
+    let raw: string;
+    try {
+      raw = await fs.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+
+    const file = JSON.parse(raw) as EncryptedSessionFile;
+    if (file.version === 1) {
+      // Its key came from a wallet signature, which is no longer asked for
+      log.warn("Session file from an older client, starting fresh", {
+        file: this.filePath,
+      });
+      return null;
+    }
+    if (file.version !== SESSION_FILE_VERSION) {
+      throw new Error(`Unsupported session file version in ${this.filePath}`);
+    }
+    if (
+      file.signerAddress &&
+      file.signerAddress.toLowerCase() !== this.signerAddress.toLowerCase()
+    ) {
+      log.warn("Session file belongs to another wallet, starting fresh", {
+        file: this.filePath,
+        fileSigner: file.signerAddress,
+      });
+      return null;
+    }
+
+    try {
+      const decipher = createDecipheriv(
+        "aes-256-gcm",
+        this.key,
+        Buffer.from(file.iv, "hex")
+      );
+      decipher.setAAD(toUtf8Bytes(file.signerAddress ?? ""));
+      decipher.setAuthTag(Buffer.from(file.authTag, "hex"));
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(file.ciphertext, "hex")),
+        decipher.final(),
+      ]);
+      return JSON.parse(plaintext.toString("utf8")) as PersistedSessionState;
+    } catch {
+      if (this.keyCreated) {
+        log.warn("Session key file was missing, starting fresh", {
+          file: this.filePath,
+        });
+        return null;
+      }
+      throw new Error(
+        `Cannot decrypt session file ${this.filePath} with ${sessionKeyFilePath(
+          this.filePath
+        )} (start with --new-session to replace it)`
+      );
+    }
+  }
+
+  /**
+   * Encrypt and atomically replace the session file
+   */
+  async save(state: PersistedSessionState): Promise<void> {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv("aes-256-gcm", this.key, iv);
+    cipher.setAAD(toUtf8Bytes(this.signerAddress));
+    const ciphertext = Buffer.concat([
+      cipher.update(JSON.stringify(state), "utf8"),
+      cipher.final(),
+    ]);
+    const file: EncryptedSessionFile = {
+      version: SESSION_FILE_VERSION,
+      signerAddress: this.signerAddress,
+      iv: iv.toString("hex"),
+      authTag: cipher.getAuthTag().toString("hex"),
+      ciphertext: ciphertext.toString("hex"),
+    };
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(file), { mode: 0o600 });
+    await fs.rename(tempPath, this.filePath);
+  }
+}
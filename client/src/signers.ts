@@ -0,0 +1,259 @@
+import { promises as fs } from "fs";
+import net from "net";
+import readline from "readline/promises";
+import { Writable } from "stream";
+import {
+  TypedDataDomain,
+  TypedDataEncoder,
+  TypedDataField,
+  Wallet,
+  getAddress,
+  hexlify,
+  toUtf8Bytes,
+  verifyMessage,
+  verifyTypedData,
+} from "ethers";
+import { getLogger } from "deproof-shared";
+
+const log = getLogger("Signer");
+
+/**
+ * What the client needs from a key: its address and EIP-191 / EIP-712 signatures.
+ * An ethers Wallet satisfies it as is.
+ */
+export interface DeProofSigner {
+  readonly address: string;
+  signMessage(message: string | Uint8Array): Promise<string>;
+  signTypedData(
+    domain: TypedDataDomain,
+    types: Record<string, TypedDataField[]>,
+    value: Record<string, any>
+  ): Promise<string>;
+}
+
+// How long an external signer may take to answer (it may ask its user for approval)
+const SOCKET_SIGNER_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Signer backed by an external process listening on a local socket (a Unix
+ * socket path, or a named pipe on Windows), so the key never enters this process.
+ *
+ * Each request opens a connection and sends one JSON-RPC 2.0 request as a line
+ * of JSON; the signer answers with one line. Methods, as in Ethereum wallets:
+ * - eth_accounts() -> [address, ...]
+ * - personal_sign(messageHex, address) -> signature
+ * - eth_signTypedData_v4(address, typedDataJson) -> signature
+ */
+export class JsonRpcSocketSigner implements DeProofSigner {
+  private nextId = 1;
+
+  private constructor(
+    private readonly socketPath: string,
+    readonly address: string
+  ) {}
+
+  /**
+   * Connect to the signer and pick its account (the first one unless address is given)
+   */
+  static async connect(
+    socketPath: string,
+    address?: string
+  ): Promise<JsonRpcSocketSigner> {
+    const probe = new JsonRpcSocketSigner(socketPath, "");
+    const accounts = await probe.request<string[]>("eth_accounts", []);
+    if (!Array.isArray(accounts) || accounts.length === 0) {
+      throw new Error(`External signer at ${socketPath} has no accounts`);
+    }
+    const selected = address
+      ? accounts.find(
+          (account) => account.toLowerCase() === address.toLowerCase()
+        )
+      : accounts[0];
+    if (!selected) {
+      throw new Error(
+        `External signer at ${socketPath} has no account ${address}`
+      );
+    }
+    return new JsonRpcSocketSigner(socketPath, getAddress(selected));
+  }
+
+  async signMessage(message: string | Uint8Array): Promise<string> {
+    const bytes = typeof message === "string" ? toUtf8Bytes(message) : message;
+    const signature = await this.request<string>("personal_sign", [
+      hexlify(bytes),
+      this.address,
+    ]);
+    // Do not trust the signer to have used the right key
+    if (verifyMessage(bytes, signature) !== this.address) {
+      throw new Error("External signer returned a signature for another key");
+    }
+    return signature;
+  }
+
+  async signTypedData(
+    domain: TypedDataDomain,
+    types: Record<string, TypedDataField[]>,
+    value: Record<string, any>
+  ): Promise<string> {
+    const payload = TypedDataEncoder.getPayload(domain, types, value);
+    const signature = await this.request<string>("eth_signTypedData_v4", [
+      this.address,
+      JSON.stringify(payload),
+    ]);
+    if (verifyTypedData(domain, types, value, signature) !== this.address) {
+      throw new Error("External signer returned a signature for another key");
+    }
+    return signature;
+  }
+
+  private request<T>(method: string, params: unknown[]): Promise<T> {
+    const id = this.nextId++;
+    return new Promise<T>((resolve, reject) => {
+      const socket = net.createConnection(this.socketPath);
+      let buffer = "";
+      let answered = false;
+      const fail = (error: Error) => {
+        answered = true;
+        socket.destroy();
+        reject(error);
+      };
+      const answer = (line: string) => {
+        answered = true;
+        socket.end();
+        try {
+          const response = JSON.parse(line);
+          if (response.error) {
+            reject(
+              new Error(
+                `External signer refused ${method}: ${response.error.message}`
+              )
+            );
+          } else {
+            resolve(response.result as T);
+          }
+        } catch {
+          reject(new Error(`External signer sent an invalid response`));
+        }
+      };
+
+      socket.setTimeout(SOCKET_SIGNER_TIMEOUT_MS, () =>
+        fail(new Error(`External signer did not answer ${method} in time`))
+      );
+      socket.on("error", (error) =>
+        fail(new Error(`External signer unavailable: ${error.message}`))
+      );
+      socket.on("connect", () => {
+        socket.write(
+          JSON.stringify({ jsonrpc: "2.0", id, method, params }) + "\n"
+        );
+      });
+      socket.on("data", (chunk) => {
+        buffer += chunk.toString("utf8");
+        const newline = buffer.indexOf("\n");
+        if (newline >= 0 && !answered) {
+          answer(buffer.substring(0, newline));
+        }
+      });
+      // A response may end with the connection instead of a newline
+      socket.on("end", () => {
+        if (!answered && buffer.trim() !== "") {
+          answer(buffer);
+        }
+      });
+      socket.on("close", () => {
+        if (!answered) {
+          fail(
+            new Error(
+              `External signer closed the connection without answering ${method}`
+            )
+          );
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Unlock an encrypted JSON keystore (Ethereum keystore v3, as written by geth,
+ * foundry or ethers)
+ *
+ * @param keystorePath - Path of the keystore file
+ * @param passwordFile - File holding the passphrase; prompts on the terminal if omitted
+ */
+export async function unlockKeystore(
+  keystorePath: string,
+  passwordFile?: string
+): Promise<DeProofSigner> {
+  const json = await fs.readFile(keystorePath, "utf8");
+  const password = passwordFile
+    ? (await fs.readFile(passwordFile, "utf8")).replace(/\r?\n$/, "")
+    : await promptHidden(`Passphrase for ${keystorePath}: `);
+  log.info("Decrypting keystore", { file: keystorePath });
+  return Wallet.fromEncryptedJson(json, password);
+}
+
+/**
+ * Ask for a secret on the terminal without echoing it
+ */
+async function promptHidden(question: string): Promise<string> {
+  if (!process.stdin.isTTY) {
+    throw new Error(
+      "Cannot prompt for the keystore passphrase without a terminal (set WALLET_KEYSTORE_PASSWORD_FILE)"
+    );
+  }
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) {
+        process.stdout.write(chunk, encoding);
+      }
+      callback();
+    },
+  });
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output,
+    terminal: true,
+  });
+  try {
+    const answer = rl.question(question);
+    muted = true;
+    return await answer;
+  } finally {
+    rl.close();
+    process.stdout.write("\n");
+  }
+}
+
+/**
+ * Create the signer selected by the environment:
+ * WALLET_SIGNER_SOCKET (external signer), WALLET_KEYSTORE (encrypted keystore)
+ * or WALLET_PRIVATE_KEY (plaintext key, for development)
+ */
+export async function loadSignerFromEnvironment(): Promise<DeProofSigner> {
+  if (process.env.WALLET_SIGNER_SOCKET) {
+    const signer = await JsonRpcSocketSigner.connect(
+      process.env.WALLET_SIGNER_SOCKET,
+      process.env.WALLET_SIGNER_ADDRESS
+    );
+    log.info("Using external signer", { address: signer.address });
+    return signer;
+  }
+  if (process.env.WALLET_KEYSTORE) {
+    const signer = await unlockKeystore(
+      process.env.WALLET_KEYSTORE,
+      process.env.WALLET_KEYSTORE_PASSWORD_FILE
+    );
+    log.info("Using keystore account", { address: signer.address });
+    return signer;
+  }
+  if (process.env.WALLET_PRIVATE_KEY) {
+    log.warn(
+      "Using WALLET_PRIVATE_KEY from the environment; prefer WALLET_KEYSTORE or WALLET_SIGNER_SOCKET"
+    );
+    return new Wallet(process.env.WALLET_PRIVATE_KEY);
+  }
+  throw new Error(
+    "No signer configured: set WALLET_SIGNER_SOCKET, WALLET_KEYSTORE or WALLET_PRIVATE_KEY"
+  );
+}
@@ -0,0 +1,108 @@
+/**
+ * Canonical JSON encoding for DeProof digests, following RFC 8785
+ * (JSON Canonicalization Scheme, JCS).
+ *
+ * - Object members are sorted by the UTF-16 code units of their names
+ * - Numbers use the ECMAScript Number-to-String serialization (so -0 becomes 0,
+ *   1e21 stays 1e+21); NaN and Infinity are rejected
+ * - Strings are escaped minimally: only ", \ and control characters; non-ASCII
+ *   characters are emitted as-is (the digest is taken over the UTF-8 bytes)
+ * - Strings with lone surrogates are rejected, as they have no UTF-8 encoding
+ *
+ * Values are first interpreted the way they travel over JSON-RPC, i.e. as by
+ * JSON.stringify: toJSON() is honored and object members whose value is undefined
+ * are omitted. Anything else that JSON cannot represent (undefined array entries,
+ * functions, symbols, bigints) is rejected instead of being silently changed.
+ */
+
+export class CanonicalizationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "CanonicalizationError";
+  }
+}
+
+const LONE_SURROGATE =
+  /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
+function serializeString(value: string, path: string): string {
+  if (LONE_SURROGATE.test(value)) {
+    throw new CanonicalizationError(`Lone surrogate in string at ${path}`);
+  }
+  // JSON.stringify escapes exactly what JCS requires for well-formed strings
+  return JSON.stringify(value);
+}
+
+function serializeNumber(value: number, path: string): string {
+  if (!Number.isFinite(value)) {
+    throw new CanonicalizationError(`Non-finite number at ${path}`);
+  }
+  // ECMAScript serialization, which JCS mandates (JSON.stringify(-0) === "0")
+  return JSON.stringify(value);
+}
+
+function serializeValue(value: unknown, path: string): string {
+  if (
+    value !== null &&
+    typeof value === "object" &&
+    typeof (value as { toJSON?: unknown }).toJSON === "function"
+  ) {
+    value = (value as { toJSON: () => unknown }).toJSON();
+  }
+
+  if (value === null) {
+    return "null";
+  }
+  switch (typeof value) {
+    case "boolean":
+      return value ? "true" : "false";
+    case "number":
+      return serializeNumber(value, path);
+    case "string":
+      return serializeString(value, path);
+    case "object":
+      break;
+    default:
+      throw new CanonicalizationError(
+        `Unsupported ${typeof value} value at ${path}`
+      );
+  }
+
+  if (Array.isArray(value)) {
+    // Index loop instead of map(), so holes in sparse arrays are caught too
+    const items: string[] = [];
+    for (let index = 0; index < value.length; index++) {
+      if (value[index] === undefined) {
+        throw new CanonicalizationError(
+          `Undefined array entry at ${path}[${index}]`
+        );
+      }
+      items.push(serializeValue(value[index], `${path}[${index}]`));
+    }
+    return `[${items.join(",")}]`;
+  }
+
+  const record = value as Record<string, unknown>;
+  // Default sort() compares UTF-16 code units, as JCS requires
+  const keys = Object.keys(record)
+    .filter((key) => record[key] !== undefined)
+    .sort();
+  const members = keys.map(
+    (key) =>
+      `${serializeString(key, path)}:${serializeValue(
+        record[key],
+        `${path}.${key}`
+      )}`
+  );
+  return `{${members.join(",")}}`;
+}
+
+/**
+ * Serialize a value to its RFC 8785 canonical JSON form
+ */
+export function canonicalize(value: unknown): string {
+  if (value === undefined) {
+    throw new CanonicalizationError("Cannot canonicalize undefined");
+  }
+  return serializeValue(value, "$");
+}
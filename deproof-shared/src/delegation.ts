@@ -0,0 +1,62 @@
+/**
+ * Delegated session keys: the long-lived master wallet signs a certificate
+ * that lets an ephemeral key sign DeProofs for one session on one server,
+ * limited to some tools, until an expiry time and optionally for a number of
+ * calls. Calls signed by the session key are attributed to the master.
+ *
+ * The certificate is EIP-712 typed data (primary type DeProofDelegation, in
+ * the DeProof domain), so a wallet shows the scope it is asked to grant.
+ */
+
+// Current delegation certificate format version
+export const DELEGATION_VERSION = 1;
+
+export interface DeProofDelegation {
+  version: number;
+  // The wallet granting the delegation, and the session key it grants it to
+  master: string;
+  delegate: string;
+  // Server audience (<name>@<version>) and DeProof session the key may be used for
+  audience: string;
+  session: string;
+  // Tools the key may call
+  tools: string[];
+  // Validity period (ISO 8601)
+  issuedAt: string;
+  expiresAt: string;
+  // Largest number of calls (nonces 0 .. maxCalls - 1); 0 means no limit
+  maxCalls: number;
+  // Master's EIP-712 signature, hex without the 0x prefix
+  signature: string;
+}
+
+export const DEPROOF_DELEGATION_TYPES = {
+  DeProofDelegation: [
+    { name: "master", type: "address" },
+    { name: "delegate", type: "address" },
+    { name: "audience", type: "string" },
+    { name: "session", type: "string" },
+    { name: "tools", type: "string[]" },
+    { name: "issuedAt", type: "string" },
+    { name: "expiresAt", type: "string" },
+    { name: "maxCalls", type: "uint256" },
+  ],
+};
+
+/**
+ * The EIP-712 message the master signs for a certificate
+ */
+export function delegationMessage(
+  delegation: Omit<DeProofDelegation, "signature">
+) {
+  return {
+    master: delegation.master,
+    delegate: delegation.delegate,
+    audience: delegation.audience,
+    session: delegation.session,
+    tools: delegation.tools,
+    issuedAt: delegation.issuedAt,
+    expiresAt: delegation.expiresAt,
+    maxCalls: delegation.maxCalls,
+  };
+}
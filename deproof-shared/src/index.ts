@@ -0,0 +1,40 @@
+export { canonicalize, CanonicalizationError } from "./canonical-json.js";
+export {
+  loadConformanceVectors,
+  rejectionInput,
+  ConformanceVector,
+  ConformanceVectorFile,
+  RejectionVector,
+} from "./vectors.js";
+export {
+  RECEIPT_VERSION,
+  DeProofReceipt,
+  UnsignedReceipt,
+  ReceiptedResult,
+  receiptSigningPayload,
+  resultHashPayload,
+} from "./receipt.js";
+export {
+  DELEGATION_VERSION,
+  DeProofDelegation,
+  DEPROOF_DELEGATION_TYPES,
+  delegationMessage,
+} from "./delegation.js";
+export {
+  DEPROOF_OPEN_SESSION_TOOL,
+  DEPROOF_CLOSE_SESSION_TOOL,
+  CHALLENGE_NONCE_ARGUMENT,
+  IssuedSession,
+  SessionRejection,
+} from "./session.js";
+export {
+  LOG_LEVELS,
+  LogFields,
+  LogFormat,
+  LogLevel,
+  Logger,
+  LoggingOptions,
+  configureLogging,
+  getLogger,
+  loggingOptionsFromEnv,
+} from "./logger.js";
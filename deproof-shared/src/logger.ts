@@ -0,0 +1,193 @@
+import fs from "fs";
+
+/**
+ * Leveled, structured logging for the client and the weather server. Every
+ * entry has a level, a component (e.g. "NWSCache"), a message and optional
+ * fields, written as one line of JSON or as readable text. Entries go to
+ * stderr or a file, never to stdout: the stdio MCP transport carries JSON-RPC
+ * frames on stdout.
+ *
+ * Fields that carry signatures, keys or tool arguments are redacted unless the
+ * level is "debug"; secrets (private keys, passwords, tokens) are always
+ * redacted.
+ */
+
+export type LogLevel = "error" | "warn" | "info" | "debug";
+
+export const LOG_LEVELS: readonly LogLevel[] = [
+  "error",
+  "warn",
+  "info",
+  "debug",
+];
+
+export type LogFormat = "json" | "pretty";
+
+export type LogFields = Record<string, unknown>;
+
+export interface LoggingOptions {
+  level?: LogLevel;
+  format?: LogFormat;
+  // Append entries to this file instead of writing them to stderr
+  file?: string;
+}
+
+export interface Logger {
+  error(message: string, fields?: LogFields): void;
+  warn(message: string, fields?: LogFields): void;
+  info(message: string, fields?: LogFields): void;
+  debug(message: string, fields?: LogFields): void;
+  isLevelEnabled(level: LogLevel): boolean;
+}
+
+const REDACTED = "[redacted]";
+
+// Never logged, at any level
+const SECRET_FIELD = /private.?key|secret|password|passphrase|mnemonic|token/i;
+// Logged at the debug level only
+const SENSITIVE_FIELD =
+  /signature|^_?deproof$|^(raw)?(args|arguments|params|parameters)$|^(serialized|payload)$/i;
+
+interface LoggingConfig {
+  level: LogLevel;
+  format: LogFormat;
+  // File descriptor entries are written to (2: stderr)
+  fd: number;
+}
+
+let config: LoggingConfig = { level: "info", format: "pretty", fd: 2 };
+
+/**
+ * Set the level, format and destination of all loggers. Loggers created
+ * before the call use the new configuration too.
+ */
+export function configureLogging(options: LoggingOptions): void {
+  let fd = 2;
+  if (options.file) {
+    // Logs name signers and sessions, so a new file is readable by its owner only
+    fd = fs.openSync(options.file, "a", 0o600);
+  }
+  if (config.fd !== 2) {
+    fs.closeSync(config.fd);
+  }
+  config = {
+    level: options.level ?? "info",
+    format: options.format ?? "pretty",
+    fd,
+  };
+}
+
+/**
+ * Logging options from LOG_LEVEL, LOG_FORMAT and LOG_FILE
+ *
+ * @throws If a variable has an unsupported value
+ */
+export function loggingOptionsFromEnv(
+  env: NodeJS.ProcessEnv,
+  defaults: LoggingOptions = {}
+): LoggingOptions {
+  const level = env.LOG_LEVEL || defaults.level;
+  if (level !== undefined && !LOG_LEVELS.includes(level as LogLevel)) {
+    throw new Error(
+      `Unknown LOG_LEVEL: ${level} (expected ${LOG_LEVELS.join(", ")})`
+    );
+  }
+  const format = env.LOG_FORMAT || defaults.format;
+  if (format !== undefined && format !== "json" && format !== "pretty") {
+    throw new Error(`Unknown LOG_FORMAT: ${format} (expected json or pretty)`);
+  }
+  return {
+    level: level as LogLevel | undefined,
+    format: format as LogFormat | undefined,
+    file: env.LOG_FILE || defaults.file,
+  };
+}
+
+// Logger of a component, shown with every entry
+export function getLogger(component: string): Logger {
+  const log = (level: LogLevel, message: string, fields?: LogFields) => {
+    if (isEnabled(level)) {
+      write(level, component, message, fields);
+    }
+  };
+  return {
+    error: (message, fields) => log("error", message, fields),
+    warn: (message, fields) => log("warn", message, fields),
+    info: (message, fields) => log("info", message, fields),
+    debug: (message, fields) => log("debug", message, fields),
+    isLevelEnabled: isEnabled,
+  };
+}
+
+function isEnabled(level: LogLevel): boolean {
+  return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(config.level);
+}
+
+function write(
+  level: LogLevel,
+  component: string,
+  message: string,
+  fields: LogFields | undefined
+): void {
+  const time = new Date().toISOString();
+  const data = fields
+    ? (sanitize(fields, config.level === "debug") as LogFields)
+    : {};
+  let line: string;
+  if (config.format === "json") {
+    line = JSON.stringify({ time, level, component, msg: message, ...data });
+  } else {
+    const details = Object.entries(data)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => ` ${key}=${formatValue(value)}`)
+      .join("");
+    const label = level.toUpperCase().padEnd(5);
+    line = `${time} ${label} [${component}] ${message}${details}`;
+  }
+  try {
+    fs.writeSync(config.fd, line + "\n");
+  } catch {
+    // Logging must never break the caller
+  }
+}
+
+// Copy of a field value that can be serialized, with sensitive fields redacted
+function sanitize(value: unknown, debug: boolean, depth = 0): unknown {
+  if (value instanceof Error) {
+    const code = (value as { code?: unknown }).code;
+    return {
+      name: value.name,
+      message: value.message,
+      ...(code !== undefined ? { code } : {}),
+      ...(debug && value.stack ? { stack: value.stack } : {}),
+    };
+  }
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (depth >= 8) {
+    return "[nested]";
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => sanitize(item, debug, depth + 1));
+  }
+  const result: Record<string, unknown> = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (SECRET_FIELD.test(key) || (!debug && SENSITIVE_FIELD.test(key))) {
+      result[key] = REDACTED;
+    } else {
+      result[key] = sanitize(item, debug, depth + 1);
+    }
+  }
+  return result;
+}
+
+function formatValue(value: unknown): string {
+  if (typeof value === "string") {
+    return /^[^\s"=]+$/.test(value) ? value : JSON.stringify(value);
+  }
+  return JSON.stringify(value) ?? String(value);
+}
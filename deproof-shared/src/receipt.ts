@@ -0,0 +1,72 @@
+import { canonicalize } from "./canonical-json.js";
+
+/**
+ * Response receipts: the server signs every tool result so the client can
+ * check that it came from the expected server, answers the request it sent
+ * and was not changed on the way.
+ *
+ * Both sides hash with keccak256 over the UTF-8 bytes of the canonical
+ * strings built here; the receipt signature is EIP-191 over the 32 bytes of
+ * keccak256(receiptSigningPayload(receipt)), as for DeProofs. Hashes and
+ * signatures are hex without the 0x prefix.
+ */
+
+// Current receipt format version (2: resultHash also covers isError and _meta.error)
+export const RECEIPT_VERSION = 2;
+
+export interface DeProofReceipt {
+  version: number;
+  // Address of the server's signing key
+  signerAddress: string;
+  // Server audience (<name>@<version>) and tool that produced the result
+  audience: string;
+  tool: string;
+  // Digest of the request's DeProof, the challengeNonce of an open-session
+  // request, or null if the request carried neither
+  requestDigest: string | null;
+  // keccak256 of resultHashPayload(result)
+  resultHash: string;
+  // Server time when the result was signed (ISO 8601)
+  timestamp: string;
+  signature: string;
+}
+
+export type UnsignedReceipt = Omit<DeProofReceipt, "signature">;
+
+/**
+ * Canonical string whose hash the receipt signature covers
+ */
+export function receiptSigningPayload(receipt: UnsignedReceipt): string {
+  return canonicalize({
+    version: receipt.version,
+    signerAddress: receipt.signerAddress,
+    audience: receipt.audience,
+    tool: receipt.tool,
+    requestDigest: receipt.requestDigest,
+    resultHash: receipt.resultHash,
+    timestamp: receipt.timestamp,
+  });
+}
+
+// The parts of a tool result a receipt covers
+export interface ReceiptedResult {
+  content?: unknown;
+  structuredContent?: unknown;
+  isError?: unknown;
+  _meta?: { error?: unknown };
+}
+
+/**
+ * Canonical string whose hash is a tool result's resultHash. It covers
+ * everything the client acts on: the content, structuredContent (omitted when
+ * absent), whether the result is an error and the machine-readable error in
+ * _meta.error, which drives the client's automatic recovery.
+ */
+export function resultHashPayload(result: ReceiptedResult): string {
+  return canonicalize({
+    content: result.content ?? [],
+    structuredContent: result.structuredContent,
+    isError: result.isError === true,
+    error: result._meta?.error ?? null,
+  });
+}
@@ -0,0 +1,27 @@
+/**
+ * Server-issued DeProof sessions. The client asks the server for a session
+ * challenge with the open-session tool (no DeProof needed) and uses it as the
+ * session id of its proofs. The first proof that signs the challenge opens the
+ * session for its principal; proofs for sessions the server never issued, or
+ * that expired or were closed, are rejected with -32014. The close-session
+ * tool (a DeProof tool) ends a session explicitly.
+ */
+
+// Tool that issues a session challenge; its result carries _meta.session
+export const DEPROOF_OPEN_SESSION_TOOL = "deproof-open-session";
+// Optional open-session argument: random hex (32 bytes) that the challenge's
+// receipt carries as requestDigest, binding the receipt to this request
+export const CHALLENGE_NONCE_ARGUMENT = "challengeNonce";
+// Tool that closes the session its DeProof was signed for
+export const DEPROOF_CLOSE_SESSION_TOOL = "deproof-close-session";
+
+// _meta.session of an open-session result
+export interface IssuedSession {
+  // Random session id (hex) to sign proofs with
+  session: string;
+  // The session must be opened with a first proof before this time (ISO 8601)
+  expiresAt: string;
+}
+
+// Why a session cannot be used (data.reason of -32014)
+export type SessionRejection = "unknown" | "expired" | "closed";
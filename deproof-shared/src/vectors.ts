@@ -0,0 +1,56 @@
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+
+/**
+ * A published conformance vector. Every DeProof implementation must produce
+ * exactly `canonical` from `input`, the keccak256 of its UTF-8 bytes as `digest`,
+ * and must recover `signerAddress` from the EIP-191 `signature` over the digest bytes.
+ */
+export interface ConformanceVector {
+  description: string;
+  input: unknown;
+  canonical: string;
+  digest: string;
+  signature: string;
+}
+
+// Vectors that must be rejected by the canonicalizer
+export interface RejectionVector {
+  description: string;
+  // Evaluated by the checker, since these values cannot be expressed in JSON
+  input: "NaN" | "Infinity" | "lone-surrogate" | "undefined-array-entry";
+}
+
+export interface ConformanceVectorFile {
+  // Well-known test key, never use it for anything else
+  signerPrivateKey: string;
+  signerAddress: string;
+  vectors: ConformanceVector[];
+  rejections: RejectionVector[];
+}
+
+/**
+ * Load the conformance vectors published with this package
+ */
+export function loadConformanceVectors(): ConformanceVectorFile {
+  const filePath = fileURLToPath(
+    new URL("../vectors/canonical-json.json", import.meta.url)
+  );
+  return JSON.parse(readFileSync(filePath, "utf8")) as ConformanceVectorFile;
+}
+
+/**
+ * Build the actual value for a rejection vector
+ */
+export function rejectionInput(vector: RejectionVector): unknown {
+  switch (vector.input) {
+    case "NaN":
+      return { value: NaN };
+    case "Infinity":
+      return { value: Infinity };
+    case "lone-surrogate":
+      return { value: "\uD800" };
+    case "undefined-array-entry":
+      return { value: [1, undefined, 3] };
+  }
+}
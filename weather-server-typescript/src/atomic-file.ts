@@ -0,0 +1,36 @@
+import { promises as fs } from "fs";
+import path from "path";
+
+/**
+ * Replace a file's content atomically: the data is written to a temporary file,
+ * fsync'ed and renamed over the file, so a crash leaves either the old or the
+ * new content on disk, never a partial write.
+ */
+export async function writeFileAtomic(
+  filePath: string,
+  data: string
+): Promise<void> {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const handle = await fs.open(tempPath, "w", 0o600);
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(tempPath, filePath);
+
+  // Make the rename itself durable (not supported on every platform)
+  try {
+    const dirHandle = await fs.open(path.dirname(filePath), "r");
+    try {
+      await dirHandle.sync();
+    } finally {
+      await dirHandle.close();
+    }
+  } catch {
+    // Ignore: directory fsync is best effort
+  }
+}
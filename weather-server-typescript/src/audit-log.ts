@@ -0,0 +1,240 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { ethers } from "ethers";
+import { canonicalize, getLogger } from "deproof-shared";
+import { writeFileAtomic } from "./atomic-file.js";
+
+const log = getLogger("AuditLog");
+
+// prevHash of the first entry in a log
+export const AUDIT_GENESIS_HASH = "0".repeat(64);
+
+// How a tool call ended: served, rejected by DeProof validation, refused by a
+// rate limit or quota after validation, or failed after validation
+export type AuditOutcome = "accepted" | "rejected" | "limited" | "failed";
+
+// What the server records about one tool call
+export interface AuditRecord {
+  tool: string;
+  method: string;
+  audience: string;
+  // Proof fields as sent by the caller (null when the call carried no proof)
+  signerAddress: string | null;
+  // Who the call is attributed to: the delegating master wallet, or the signer itself
+  principal: string | null;
+  session: string | null;
+  nonce: number | null;
+  version: number | null;
+  scheme: string | null;
+  timestamp: string | null;
+  digest: string | null;
+  signature: string | null;
+  // Tool arguments (without _deProof) and keccak256 of their canonical JSON,
+  // both null if they cannot be encoded
+  params: unknown;
+  paramsDigest: string | null;
+  outcome: AuditOutcome;
+  errorCode: number | null;
+  errorMessage: string | null;
+  receivedAt: string;
+  durationMs: number;
+}
+
+// One line of the log file
+export interface AuditEntry extends AuditRecord {
+  seq: number;
+  prevHash: string;
+  hash: string;
+}
+
+/**
+ * Hash of an entry: keccak256 of its canonical JSON without the hash field.
+ * Since prevHash is part of it, each entry commits to the whole log before it.
+ */
+export function auditEntryHash(entry: Omit<AuditEntry, "hash">): string {
+  const { hash: _hash, ...hashed } = entry as AuditEntry;
+  return ethers.utils.keccak256(Buffer.from(canonicalize(hashed))).slice(2);
+}
+
+// Last entry of the log, signed with the server's receipt key
+export interface AuditHead {
+  seq: number;
+  hash: string;
+  signerAddress: string;
+  signedAt: string;
+  signature: string;
+}
+
+// Signs audit heads (the server's ResponseSigner)
+export interface AuditHeadSigner {
+  readonly address: string;
+  signDigest(digest: string): Promise<string>;
+}
+
+// File holding a log's signed head
+export function auditHeadPath(logPath: string): string {
+  return `${logPath}.head`;
+}
+
+/**
+ * Canonical string whose keccak256 the head signature covers (EIP-191, as for receipts)
+ */
+export function auditHeadSigningPayload(
+  head: Omit<AuditHead, "signature">
+): string {
+  return canonicalize({
+    seq: head.seq,
+    hash: head.hash,
+    signerAddress: head.signerAddress,
+    signedAt: head.signedAt,
+  });
+}
+
+/**
+ * keccak256 of canonical tool arguments, as recorded in paramsDigest
+ * (for the "eip712" scheme this is also the signed paramsHash)
+ */
+export function auditParamsDigest(params: unknown): string | null {
+  try {
+    return ethers.utils.keccak256(Buffer.from(canonicalize(params))).slice(2);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Append-only, hash-chained audit log of tool calls (one JSON entry per line).
+ *
+ * Every entry carries a sequence number and the hash of the entry before it, so
+ * removing, reordering or editing entries breaks the chain; verify it with
+ * `npm run verify-audit-log -- <file>`. After each append the new head is signed
+ * with the server's key into <file>.head, so entries cut from the end are
+ * detected too. Appends are serialized through an in-process queue and
+ * fsync'ed. The file must not be shared by several server processes.
+ */
+export class AuditLog {
+  private readonly filePath: string;
+  private readonly headSigner: AuditHeadSigner;
+  private handle: fs.FileHandle | null = null;
+  private nextSeq = 0;
+  private lastHash = AUDIT_GENESIS_HASH;
+  private queue: Promise<unknown> = Promise.resolve();
+
+  constructor(filePath: string, headSigner: AuditHeadSigner) {
+    this.filePath = path.resolve(filePath);
+    this.headSigner = headSigner;
+  }
+
+  /**
+   * Open the log and continue the chain from its last entry
+   */
+  async open(): Promise<void> {
+    let raw = "";
+    try {
+      raw = await fs.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== "ENOENT") {
+        throw error;
+      }
+    }
+
+    // A damaged tail is fatal: appending to it would hide the damage behind a valid chain
+    const lines = raw.split("\n").filter((line) => line.length > 0);
+    if (lines.length > 0) {
+      const last = JSON.parse(lines[lines.length - 1]) as AuditEntry;
+      if (auditEntryHash(last) !== last.hash) {
+        throw new Error(
+          `Last entry of audit log ${this.filePath} does not match its hash`
+        );
+      }
+      this.nextSeq = last.seq + 1;
+      this.lastHash = last.hash;
+    }
+
+    // Signing a new head over a truncated log would hide the truncation
+    const head = await this.readHead();
+    if (
+      head &&
+      (head.seq >= this.nextSeq ||
+        (head.seq === this.nextSeq - 1 && head.hash !== this.lastHash))
+    ) {
+      throw new Error(
+        `Audit log ${this.filePath} does not reach its signed head (seq ${head.seq})`
+      );
+    }
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    this.handle = await fs.open(this.filePath, "a", 0o600);
+    if (this.nextSeq > 0) {
+      await this.writeHead();
+    }
+    log.info("Writing audit log", {
+      file: this.filePath,
+      existingEntries: lines.length,
+    });
+  }
+
+  /**
+   * Append a record, chained to the previous entry
+   */
+  async append(record: AuditRecord): Promise<AuditEntry> {
+    return this.runExclusive(async () => {
+      if (!this.handle) {
+        throw new Error("Audit log is not open");
+      }
+      const unhashed = {
+        ...record,
+        seq: this.nextSeq,
+        prevHash: this.lastHash,
+      };
+      const entry: AuditEntry = { ...unhashed, hash: auditEntryHash(unhashed) };
+      await this.handle.write(JSON.stringify(entry) + "\n");
+      await this.handle.datasync();
+      this.nextSeq++;
+      this.lastHash = entry.hash;
+      await this.writeHead();
+      return entry;
+    });
+  }
+
+  private async readHead(): Promise<AuditHead | null> {
+    try {
+      return JSON.parse(
+        await fs.readFile(auditHeadPath(this.filePath), "utf8")
+      ) as AuditHead;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  private async writeHead(): Promise<void> {
+    const unsigned = {
+      seq: this.nextSeq - 1,
+      hash: this.lastHash,
+      signerAddress: this.headSigner.address,
+      signedAt: new Date().toISOString(),
+    };
+    const signature = await this.headSigner.signDigest(
+      ethers.utils.keccak256(Buffer.from(auditHeadSigningPayload(unsigned)))
+    );
+    const head: AuditHead = { ...unsigned, signature };
+    await writeFileAtomic(auditHeadPath(this.filePath), JSON.stringify(head));
+  }
+
+  async close(): Promise<void> {
+    await this.runExclusive(async () => {
+      await this.handle?.close();
+      this.handle = null;
+    });
+  }
+
+  // Chain the operation after every previously queued one
+  private runExclusive<T>(operation: () => Promise<T>): Promise<T> {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => undefined);
+    return result;
+  }
+}
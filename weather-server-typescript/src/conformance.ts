@@ -0,0 +1,55 @@
+import { ethers } from "ethers";
+import {
+  canonicalize,
+  loadConformanceVectors,
+  rejectionInput,
+} from "deproof-shared";
+
+/**
+ * Check the server's DeProof decoding against the published conformance vectors
+ *
+ * Usage: npm run conformance
+ */
+function main() {
+  const file = loadConformanceVectors();
+  const failures: string[] = [];
+
+  for (const vector of file.vectors) {
+    const canonical = canonicalize(vector.input);
+    if (canonical !== vector.canonical) {
+      failures.push(`${vector.description}: canonical string differs`);
+      continue;
+    }
+    const digest = ethers.utils.keccak256(Buffer.from(canonical)).slice(2);
+    if (digest !== vector.digest) {
+      failures.push(`${vector.description}: digest differs`);
+      continue;
+    }
+    const recovered = ethers.utils.verifyMessage(
+      Buffer.from(digest, "hex"),
+      "0x" + vector.signature
+    );
+    if (recovered !== file.signerAddress) {
+      failures.push(`${vector.description}: recovered ${recovered}`);
+    }
+  }
+
+  for (const rejection of file.rejections) {
+    try {
+      canonicalize(rejectionInput(rejection));
+      failures.push(`${rejection.description}: was not rejected`);
+    } catch {
+      // Expected
+    }
+  }
+
+  const total = file.vectors.length + file.rejections.length;
+  if (failures.length > 0) {
+    console.error(`Conformance check failed (${failures.length}/${total}):`);
+    failures.forEach((failure) => console.error(`  - ${failure}`));
+    process.exit(1);
+  }
+  console.log(`All ${total} conformance vectors passed`);
+}
+
+main();
@@ -0,0 +1,250 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { getLogger } from "deproof-shared";
+import {
+  checkNonce,
+  checkNonceWindowSize,
+  DEFAULT_NONCE_WINDOW,
+  EMPTY_NONCE_WINDOW,
+  markNonceUsed,
+  NonceCheck,
+  NonceWindowState,
+  restoreNonceWindow,
+} from "./nonce-window.js";
+import { NonceStore } from "./secure-validator.js";
+import { writeFileAtomic } from "./atomic-file.js";
+
+const log = getLogger("FileNonceStore");
+
+// Persisted state for a single signer/session pair
+interface NonceRecord {
+  nextNonce: number;
+  // Used nonces below nextNonce (hex bitmap) and how many nonces it covers;
+  // records written before nonce windows have neither, so all of them count as used
+  usedBitmap?: string;
+  windowSize?: number;
+  updatedAt: number; // Epoch milliseconds of the last accepted nonce
+}
+
+// On-disk file layout
+interface NonceFile {
+  version: 1;
+  sessions: Record<string, Record<string, NonceRecord>>; // Key: signerAddress -> Key: session
+}
+
+export interface FileNonceStoreOptions {
+  // Number of nonces that may be used out of order (see nonce-window.ts)
+  windowSize?: number;
+  /**
+   * Sessions with no accepted request for this long are removed.
+   * Must be well above the DeProof timestamp tolerance, otherwise a proof for an
+   * expired session could be replayed while its timestamp is still accepted.
+   */
+  sessionTtlMs?: number;
+}
+
+const DEFAULT_SESSION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MIN_SESSION_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * File-backed Nonce store that survives server restarts.
+ *
+ * All operations are serialized through an in-process queue, and every change is written
+ * atomically (see writeFileAtomic), so a crash leaves either the old or the new state on disk.
+ * The file must not be shared by several server processes.
+ */
+export class FileNonceStore implements NonceStore {
+  private readonly filePath: string;
+  private readonly sessionTtlMs: number;
+  private readonly windowSize: number;
+  private store: NonceFile["sessions"] | null = null;
+  private queue: Promise<unknown> = Promise.resolve();
+
+  constructor(filePath: string, options: FileNonceStoreOptions = {}) {
+    this.filePath = path.resolve(filePath);
+    this.sessionTtlMs = Math.max(
+      options.sessionTtlMs ?? DEFAULT_SESSION_TTL_MS,
+      MIN_SESSION_TTL_MS
+    );
+    this.windowSize = checkNonceWindowSize(
+      options.windowSize ?? DEFAULT_NONCE_WINDOW
+    );
+  }
+
+  async getExpectedNonce(
+    signerAddress: string,
+    session: string
+  ): Promise<number> {
+    return this.runExclusive(async () => {
+      const store = await this.load();
+      const record = this.getLiveRecord(store, signerAddress, session);
+      return record ? record.nextNonce : 0;
+    });
+  }
+
+  async checkNonce(
+    signerAddress: string,
+    session: string,
+    nonce: number
+  ): Promise<NonceCheck> {
+    return this.runExclusive(async () => {
+      const store = await this.load();
+      return checkNonce(
+        this.getWindow(store, signerAddress, session),
+        nonce,
+        this.windowSize
+      );
+    });
+  }
+
+  async markNonceUsed(
+    signerAddress: string,
+    session: string,
+    nonce: number
+  ): Promise<NonceCheck> {
+    return this.runExclusive(async () => {
+      const store = await this.load();
+      const state = this.getWindow(store, signerAddress, session);
+      const check = checkNonce(state, nonce, this.windowSize);
+      if (!check.ok) {
+        log.info("Nonce rejected", {
+          nonce,
+          reason: check.reason,
+          expectedNonce: check.expectedNonce,
+        });
+        return check;
+      }
+      this.setRecord(
+        store,
+        signerAddress,
+        session,
+        markNonceUsed(state, nonce, this.windowSize)
+      );
+      await this.persist(store);
+      return check;
+    });
+  }
+
+  /**
+   * Remove sessions that have been idle for longer than the configured TTL
+   * Returns the number of removed sessions
+   */
+  async pruneExpiredSessions(): Promise<number> {
+    return this.runExclusive(async () => {
+      const store = await this.load();
+      const removed = this.prune(store);
+      if (removed > 0) {
+        await this.persist(store);
+      }
+      return removed;
+    });
+  }
+
+  // Chain the operation after every previously queued one
+  private runExclusive<T>(operation: () => Promise<T>): Promise<T> {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => undefined);
+    return result;
+  }
+
+  private getLiveRecord(
+    store: NonceFile["sessions"],
+    signerAddress: string,
+    session: string
+  ): NonceRecord | undefined {
+    const record = store[signerAddress.toLowerCase()]?.[session];
+    if (!record || Date.now() - record.updatedAt > this.sessionTtlMs) {
+      return undefined;
+    }
+    return record;
+  }
+
+  private getWindow(
+    store: NonceFile["sessions"],
+    signerAddress: string,
+    session: string
+  ): NonceWindowState {
+    const record = this.getLiveRecord(store, signerAddress, session);
+    if (!record) {
+      return EMPTY_NONCE_WINDOW;
+    }
+    return restoreNonceWindow(
+      record.nextNonce,
+      BigInt("0x" + (record.usedBitmap || "0")),
+      record.windowSize ?? 0,
+      this.windowSize
+    );
+  }
+
+  private setRecord(
+    store: NonceFile["sessions"],
+    signerAddress: string,
+    session: string,
+    state: NonceWindowState
+  ) {
+    const signerKey = signerAddress.toLowerCase();
+    if (!store[signerKey]) {
+      store[signerKey] = {};
+    }
+    store[signerKey][session] = {
+      nextNonce: state.nextNonce,
+      usedBitmap: state.usedBitmap.toString(16),
+      windowSize: this.windowSize,
+      updatedAt: Date.now(),
+    };
+  }
+
+  private prune(store: NonceFile["sessions"]): number {
+    const now = Date.now();
+    let removed = 0;
+    for (const signerKey of Object.keys(store)) {
+      for (const session of Object.keys(store[signerKey])) {
+        if (now - store[signerKey][session].updatedAt > this.sessionTtlMs) {
+          delete store[signerKey][session];
+          removed++;
+        }
+      }
+      if (Object.keys(store[signerKey]).length === 0) {
+        delete store[signerKey];
+      }
+    }
+    return removed;
+  }
+
+  private async load(): Promise<NonceFile["sessions"]> {
+    if (this.store) {
+      return this.store;
+    }
+
+    let raw: string;
+    try {
+      raw = await fs.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+        log.info("No nonce file, starting empty", { file: this.filePath });
+        this.store = {};
+        return this.store;
+      }
+      throw error;
+    }
+
+    // A corrupt file is fatal: silently starting empty would re-open every session to replays
+    const parsed = JSON.parse(raw) as NonceFile;
+    if (parsed.version !== 1 || typeof parsed.sessions !== "object") {
+      throw new Error(`Unsupported nonce file format in ${this.filePath}`);
+    }
+    this.store = parsed.sessions;
+    const removed = this.prune(this.store);
+    log.info("Loaded nonce state", {
+      file: this.filePath,
+      expiredSessionsRemoved: removed,
+    });
+    return this.store;
+  }
+
+  private async persist(store: NonceFile["sessions"]): Promise<void> {
+    this.prune(store);
+    const data: NonceFile = { version: 1, sessions: store };
+    await writeFileAtomic(this.filePath, JSON.stringify(data));
+  }
+}
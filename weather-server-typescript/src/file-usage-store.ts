@@ -0,0 +1,101 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { getLogger } from "deproof-shared";
+import {
+  applyCharges,
+  isUsageCounterIdle,
+  UsageCharge,
+  UsageCheck,
+  UsageCounter,
+  UsageStore,
+} from "./usage-store.js";
+import { writeFileAtomic } from "./atomic-file.js";
+
+const log = getLogger("FileUsageStore");
+
+// On-disk file layout
+interface UsageFile {
+  version: 1;
+  counters: Record<string, UsageCounter>;
+}
+
+/**
+ * File-backed usage store, so daily quotas survive server restarts.
+ *
+ * Like FileNonceStore, operations are serialized through an in-process queue
+ * and every change is written atomically. The file must not be shared by
+ * several server processes.
+ */
+export class FileUsageStore implements UsageStore {
+  private readonly filePath: string;
+  private counters: UsageFile["counters"] | null = null;
+  private queue: Promise<unknown> = Promise.resolve();
+
+  constructor(filePath: string) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  async consume(charges: UsageCharge[]): Promise<UsageCheck> {
+    return this.runExclusive(async () => {
+      const counters = await this.load();
+      const check = applyCharges(counters, charges, Date.now());
+      if (check.ok) {
+        await this.persist(counters);
+      }
+      return check;
+    });
+  }
+
+  // Chain the operation after every previously queued one
+  private runExclusive<T>(operation: () => Promise<T>): Promise<T> {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => undefined);
+    return result;
+  }
+
+  private prune(counters: UsageFile["counters"]) {
+    const now = Date.now();
+    for (const [key, counter] of Object.entries(counters)) {
+      if (isUsageCounterIdle(counter, now)) {
+        delete counters[key];
+      }
+    }
+  }
+
+  private async load(): Promise<UsageFile["counters"]> {
+    if (this.counters) {
+      return this.counters;
+    }
+
+    let raw: string;
+    try {
+      raw = await fs.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+        log.info("No usage file, starting empty", { file: this.filePath });
+        this.counters = {};
+        return this.counters;
+      }
+      throw error;
+    }
+
+    // A corrupt file is fatal: starting empty would reset every quota
+    const parsed = JSON.parse(raw) as UsageFile;
+    if (parsed.version !== 1 || typeof parsed.counters !== "object") {
+      throw new Error(`Unsupported usage file format in ${this.filePath}`);
+    }
+    this.counters = parsed.counters;
+    this.prune(this.counters);
+    log.info("Loaded usage counters", {
+      file: this.filePath,
+      counters: Object.keys(this.counters).length,
+    });
+    return this.counters;
+  }
+
+  private async persist(counters: UsageFile["counters"]): Promise<void> {
+    this.prune(counters);
+    const data: UsageFile = { version: 1, counters };
+    await writeFileAtomic(this.filePath, JSON.stringify(data));
+  }
+}
@@ -0,0 +1,114 @@
+import { fileURLToPath } from "url";
+import { FixtureSource } from "./fixture-source.js";
+import { NWSProvider, NWSSource } from "./nws-provider.js";
+import { Units } from "./weather-data.js";
+
+/**
+ * Run every weather tool's provider call against the recorded NWS responses,
+ * in both unit systems, and check that each one returns data
+ *
+ * Usage: npm run fixture-smoke
+ */
+
+// The locations the bundled fixtures cover
+const LATITUDE = 37.7749;
+const LONGITUDE = -122.4194;
+const STATE = "CA";
+const ZONE = "CAZ006";
+
+async function main() {
+  const directory =
+    process.env.WEATHER_FIXTURES_DIR ||
+    fileURLToPath(new URL("../fixtures/nws", import.meta.url));
+  const source = new FixtureSource(directory);
+  const provider = new NWSProvider(source, "fixtures");
+  const failures: string[] = [];
+  let checks = 0;
+
+  async function check(
+    description: string,
+    call: () => Promise<unknown[] | object>
+  ) {
+    checks++;
+    try {
+      const result = await call();
+      if (Array.isArray(result) && result.length === 0) {
+        failures.push(`${description}: returned no data`);
+      }
+    } catch (error) {
+      failures.push(
+        `${description}: ${
+          error instanceof Error ? error.message : String(error)
+        }`
+      );
+    }
+  }
+
+  await check("get-alerts (state)", () => provider.getAlerts({ state: STATE }));
+  await check("get-alerts (point)", () =>
+    provider.getAlerts({ latitude: LATITUDE, longitude: LONGITUDE })
+  );
+  await check("get-zone-alerts", () => provider.getAlerts({ zone: ZONE }));
+  for (const units of ["imperial", "metric"] as Units[]) {
+    await check(`get-forecast (${units})`, () =>
+      provider.getForecast(LATITUDE, LONGITUDE, units)
+    );
+    await check(`get-hourly-forecast (${units})`, () =>
+      provider.getHourlyForecast(LATITUDE, LONGITUDE, 12, units)
+    );
+    await check(`get-observation (${units})`, () =>
+      provider.getObservation(LATITUDE, LONGITUDE, units)
+    );
+  }
+
+  // A forecast whose hours have all passed is served from recorded responses
+  // only, never from a live source
+  checks += 2;
+  const live: NWSSource = {
+    async getJSON<T>(url: string, signal?: AbortSignal): Promise<T> {
+      const response: any = await source.getJSON(url, signal);
+      if (!url.includes("/forecast/hourly")) {
+        return response;
+      }
+      const periods = response.properties.periods.map((period: any) => ({
+        ...period,
+        startTime: "2000-01-01T00:00:00Z",
+      }));
+      return {
+        ...response,
+        properties: { ...response.properties, periods },
+      } as T;
+    },
+  };
+  const livePeriods = await new NWSProvider(live).getHourlyForecast(
+    LATITUDE,
+    LONGITUDE,
+    12,
+    "imperial"
+  );
+  if (livePeriods.length > 0) {
+    failures.push("live hourly forecast: served hours that have passed");
+  }
+  const recorded: NWSSource = { recorded: true, getJSON: live.getJSON };
+  const recordedPeriods = await new NWSProvider(recorded).getHourlyForecast(
+    LATITUDE,
+    LONGITUDE,
+    12,
+    "imperial"
+  );
+  if (recordedPeriods.length === 0) {
+    failures.push("recorded hourly forecast: past hours were not served");
+  }
+
+  if (failures.length > 0) {
+    console.error(`Fixture smoke check failed (${failures.length}/${checks}):`);
+    failures.forEach((failure) => console.error(`  - ${failure}`));
+    process.exit(1);
+  }
+  console.log(`All ${checks} fixture smoke checks passed (${directory})`);
+}
+
+main().catch((error) => {
+  console.error("Fixture smoke check failed:", error);
+  process.exit(2);
+});
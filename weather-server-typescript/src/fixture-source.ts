@@ -0,0 +1,75 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { getLogger } from "deproof-shared";
+import { writeFileAtomic } from "./atomic-file.js";
+import { NWSSource } from "./nws-provider.js";
+
+const log = getLogger("RecordingSource");
+
+/**
+ * File of the recorded response for a URL: its path under the fixture
+ * directory, with the query string after "@" (the host is ignored), e.g.
+ * https://api.weather.gov/alerts?area=CA -> <directory>/alerts@area=CA.json
+ */
+export function fixturePath(directory: string, url: string): string {
+  const { pathname, search } = new URL(url);
+  const segments = decodeURIComponent(pathname).split("/").filter(Boolean);
+  if (segments.length === 0 || segments.some((part) => part === "..")) {
+    throw new Error(`No fixture path for ${url}`);
+  }
+  const name = `${segments.join("/")}${
+    search ? `@${decodeURIComponent(search.substring(1))}` : ""
+  }.json`;
+  return path.join(directory, name);
+}
+
+/**
+ * Recorded responses served from disk, for running without network access
+ * (development and CI). Record them with RecordingSource.
+ */
+export class FixtureSource implements NWSSource {
+  readonly recorded = true;
+  private readonly directory: string;
+
+  constructor(directory: string) {
+    this.directory = path.resolve(directory);
+  }
+
+  async getJSON<T>(url: string, signal?: AbortSignal): Promise<T> {
+    const filePath = fixturePath(this.directory, url);
+    let raw: string;
+    try {
+      raw = await fs.readFile(filePath, { encoding: "utf8", signal });
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+        throw new Error(`No recorded response for ${url} (${filePath})`);
+      }
+      throw error;
+    }
+    return JSON.parse(raw) as T;
+  }
+}
+
+/**
+ * Pass requests through to another source and record every response as a fixture
+ */
+export class RecordingSource implements NWSSource {
+  private readonly directory: string;
+
+  constructor(private readonly source: NWSSource, directory: string) {
+    this.directory = path.resolve(directory);
+  }
+
+  async getJSON<T>(url: string, signal?: AbortSignal): Promise<T> {
+    const data = await this.source.getJSON<T>(url, signal);
+    const filePath = fixturePath(this.directory, url);
+    try {
+      await writeFileAtomic(filePath, JSON.stringify(data, null, 2) + "\n");
+      log.debug("Recorded response", { url, file: filePath });
+    } catch (error) {
+      // Recording is best effort; the response is still served
+      log.warn("Cannot record response", { url, error });
+    }
+    return data;
+  }
+}
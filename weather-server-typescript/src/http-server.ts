@@ -0,0 +1,244 @@
+import { randomUUID } from "crypto";
+import http, { IncomingMessage, ServerResponse } from "http";
+import { AddressInfo } from "net";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { getLogger } from "deproof-shared";
+
+const log = getLogger("HTTP");
+
+// Path of the MCP endpoint
+export const MCP_HTTP_PATH = "/mcp";
+// Largest accepted JSON-RPC request body
+const MAX_BODY_BYTES = 1024 * 1024;
+// How often idle MCP sessions are looked for
+const SESSION_SWEEP_INTERVAL_MS = 60 * 1000;
+// Listen hosts that only accept connections from this machine
+const LOOPBACK_HOSTS = ["127.0.0.1", "localhost", "::1"];
+
+export interface HttpServerOptions {
+  host: string;
+  port: number;
+  // Close MCP sessions that made no request for this long (clients that never sent DELETE)
+  sessionIdleTimeoutMs: number;
+  // Open MCP sessions allowed at once; new ones are refused with 503 beyond this
+  maxSessions: number;
+  // Host header values accepted (DNS rebinding protection), by default
+  // defaultAllowedHosts for the bound port
+  allowedHosts?: string[];
+}
+
+interface HttpSession {
+  transport: StreamableHTTPServerTransport;
+  lastSeen: number;
+}
+
+/**
+ * Parse a listen address like "127.0.0.1:3000", ":3000" or "3000"
+ */
+export function parseListenAddress(address: string): {
+  host: string;
+  port: number;
+} {
+  const separator = address.lastIndexOf(":");
+  const host = separator >= 0 ? address.substring(0, separator) : "";
+  const port = Number(
+    separator >= 0 ? address.substring(separator + 1) : address
+  );
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid listen address: ${address}`);
+  }
+  return { host: host.replace(/^\[(.*)\]$/, "$1") || "127.0.0.1", port };
+}
+
+/**
+ * Host header values a client uses to reach the listen address: the loopback
+ * names for a loopback host, otherwise the host itself. A server listening on
+ * all interfaces cannot know its public name, so it only gets the loopback names.
+ */
+export function defaultAllowedHosts(host: string, port: number): string[] {
+  const names =
+    LOOPBACK_HOSTS.includes(host) || host === "0.0.0.0" || host === "::"
+      ? LOOPBACK_HOSTS
+      : [host];
+  return names.map((name) =>
+    name.includes(":") ? `[${name}]:${port}` : `${name}:${port}`
+  );
+}
+
+/**
+ * Serve MCP over Streamable HTTP (POST for requests, GET for the SSE stream,
+ * DELETE to end a session).
+ *
+ * Every MCP session gets its own McpServer from createServer; DeProof nonce
+ * state lives in the nonce store shared by all of them, so sessions from
+ * several clients are validated exactly as they would be over stdio.
+ */
+export async function startHttpServer(
+  createServer: () => McpServer,
+  options: HttpServerOptions
+): Promise<http.Server> {
+  const sessions = new Map<string, HttpSession>();
+  let allowedHosts = options.allowedHosts ?? [];
+
+  const handleRequest = async (req: IncomingMessage, res: ServerResponse) => {
+    const url = new URL(req.url || "/", "http://localhost");
+    if (url.pathname !== MCP_HTTP_PATH) {
+      sendJsonRpcError(res, 404, -32000, "Not found");
+      return;
+    }
+
+    const sessionId = req.headers["mcp-session-id"];
+    const existing =
+      typeof sessionId === "string" ? sessions.get(sessionId) : undefined;
+    if (existing) {
+      existing.lastSeen = Date.now();
+      const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+      await existing.transport.handleRequest(req, res, body);
+      return;
+    }
+    if (sessionId !== undefined) {
+      sendJsonRpcError(res, 404, -32000, "Session not found");
+      return;
+    }
+    if (req.method !== "POST") {
+      sendJsonRpcError(
+        res,
+        400,
+        -32000,
+        "Bad Request: No valid session ID provided"
+      );
+      return;
+    }
+
+    // Only an initialize request may start a new session
+    const body = await readJsonBody(req);
+    if (!isInitializeRequest(body)) {
+      sendJsonRpcError(
+        res,
+        400,
+        -32000,
+        "Bad Request: No valid session ID provided"
+      );
+      return;
+    }
+    if (sessions.size >= options.maxSessions) {
+      log.warn("Too many open sessions, refusing a new one", {
+        maxSessions: options.maxSessions,
+      });
+      sendJsonRpcError(res, 503, -32000, "Too many open sessions");
+      return;
+    }
+
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      enableDnsRebindingProtection: true,
+      allowedHosts,
+      onsessioninitialized: (newSessionId) => {
+        sessions.set(newSessionId, { transport, lastSeen: Date.now() });
+        log.info("Session opened", { sessionId: newSessionId });
+      },
+    });
+    await createServer().connect(transport);
+    // connect() installs the server's own close handler, so chain ours after it
+    const serverOnClose = transport.onclose;
+    transport.onclose = () => {
+      serverOnClose?.();
+      if (transport.sessionId && sessions.delete(transport.sessionId)) {
+        log.info("Session closed", { sessionId: transport.sessionId });
+      }
+    };
+    await transport.handleRequest(req, res, body);
+  };
+
+  const httpServer = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      if (error instanceof RequestBodyError) {
+        sendJsonRpcError(res, error.status, error.code, error.message);
+        return;
+      }
+      log.error("Error handling request", {
+        method: req.method,
+        url: req.url,
+        error,
+      });
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, -32603, "Internal server error");
+      } else {
+        res.end();
+      }
+    });
+  });
+
+  const sweepTimer = setInterval(() => {
+    const cutoff = Date.now() - options.sessionIdleTimeoutMs;
+    for (const [sessionId, session] of sessions) {
+      if (session.lastSeen < cutoff) {
+        log.info("Closing idle session", { sessionId });
+        session.transport.close().catch((error) => {
+          log.error("Failed to close session", { sessionId, error });
+        });
+      }
+    }
+  }, SESSION_SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+  httpServer.on("close", () => clearInterval(sweepTimer));
+
+  await new Promise<void>((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(options.port, options.host, () => {
+      httpServer.off("error", reject);
+      resolve();
+    });
+  });
+  if (!options.allowedHosts) {
+    const { port } = httpServer.address() as AddressInfo;
+    allowedHosts = defaultAllowedHosts(options.host, port);
+  }
+  log.info("Accepting requests for hosts", { allowedHosts });
+  return httpServer;
+}
+
+class RequestBodyError extends Error {
+  constructor(
+    public readonly status: number,
+    public readonly code: number,
+    message: string
+  ) {
+    super(message);
+    this.name = "RequestBodyError";
+  }
+}
+
+async function readJsonBody(req: IncomingMessage): Promise<unknown> {
+  const chunks: Buffer[] = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new RequestBodyError(413, -32600, "Request body too large");
+    }
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    throw new RequestBodyError(400, -32700, "Parse error: Invalid JSON");
+  }
+}
+
+function sendJsonRpcError(
+  res: ServerResponse,
+  status: number,
+  code: number,
+  message: string
+) {
+  res.writeHead(status, { "Content-Type": "application/json" }).end(
+    JSON.stringify({
+      jsonrpc: "2.0",
+      error: { code, message },
+      id: null,
+    })
+  );
+}
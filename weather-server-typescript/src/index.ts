@@ -1,174 +1,530 @@
+import { fileURLToPath } from "url";
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { z } from "zod";
+import {
+  DEPROOF_CLOSE_SESSION_TOOL,
+  DEPROOF_OPEN_SESSION_TOOL,
+  CHALLENGE_NONCE_ARGUMENT,
+  configureLogging,
+  getLogger,
+  loggingOptionsFromEnv,
+} from "deproof-shared";
 import {
   validateDeProof,
+  deProofPrincipal,
+  DeProof,
   InMemoryNonceStore,
+  NonceStore,
   RequestWithDeProof,
   ErrorResponse,
 } from "./secure-validator.js";
+import { FileNonceStore } from "./file-nonce-store.js";
+import { SessionRegistry } from "./session-registry.js";
+import { RateLimiter } from "./rate-limiter.js";
+import { InMemoryUsageStore, UsageStore } from "./usage-store.js";
+import { FileUsageStore } from "./file-usage-store.js";
+import { NWSCache } from "./nws-cache.js";
+import { NWSHttpSource, NWSProvider } from "./nws-provider.js";
+import { FixtureSource, RecordingSource } from "./fixture-source.js";
+import { AlertArea, WeatherProvider } from "./weather-provider.js";
+import {
+  AlertData,
+  Units,
+  alertsOutputShape,
+  forecastOutputShape,
+  formatAlerts,
+  formatForecastPeriod,
+  formatHourlyPeriod,
+  formatObservation,
+  observationOutputShape,
+  unitsSchema,
+} from "./weather-data.js";
+import { DEFAULT_NONCE_WINDOW } from "./nonce-window.js";
+import { FileSignerPolicy } from "./signer-policy.js";
+import { ReceiptBinding, ResponseSigner } from "./response-signer.js";
+import {
+  AuditLog,
+  AuditOutcome,
+  AuditRecord,
+  auditParamsDigest,
+} from "./audit-log.js";
+import {
+  MCP_HTTP_PATH,
+  parseListenAddress,
+  startHttpServer,
+} from "./http-server.js";
 
-const NWS_API_BASE = "https://api.weather.gov";
-const USER_AGENT = "weather-app/1.0";
+// Configured first, as creating the stores below already logs. Never to stdout,
+// which carries the JSON-RPC frames of the stdio transport
+configureLogging(loggingOptionsFromEnv(process.env));
+const log = getLogger("Server");
 
-// Helper function for making NWS API requests
-async function makeNWSRequest<T>(url: string): Promise<T | null> {
-  const headers = {
-    "User-Agent": USER_AGENT,
-    Accept: "application/geo+json",
-  };
+const SERVER_INFO = {
+  name: "weather",
+  version: "1.0.0",
+};
+// Audience identifier that DeProofs must be bound to
+const DEPROOF_AUDIENCE = `${SERVER_INFO.name}@${SERVER_INFO.version}`;
+// Set DEPROOF_ACCEPT_LEGACY_PROOFS=true to accept unbound version 1 proofs from old clients
+const ACCEPT_LEGACY_PROOFS =
+  process.env.DEPROOF_ACCEPT_LEGACY_PROOFS === "true";
 
-  console.log(`[NWS API] Starting request: ${url}`);
+// Hourly periods published by the NWS (about 6.5 days)
+const MAX_HOURLY_FORECAST_HOURS = 156;
 
-  try {
-    // Add timeout control
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 15000); // 15-second timeout
+/**
+ * A positive number from the environment
+ *
+ * @throws If the variable is set to anything but a finite number above zero
+ */
+function positiveNumberFromEnv(name: string, defaultValue: number): number {
+  const value = Number(process.env[name] || String(defaultValue));
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error(`Invalid ${name}: ${process.env[name]}`);
+  }
+  return value;
+}
 
-    const response = await fetch(url, {
-      headers,
-      signal: controller.signal,
-    });
+// Sessions idle for longer than this expire
+const SESSION_TTL_HOURS = positiveNumberFromEnv(
+  "DEPROOF_SESSION_TTL_HOURS",
+  24
+);
 
-    clearTimeout(timeoutId); // Clear timeout
+/**
+ * A positive integer (a timeout in milliseconds, a count) from the environment
+ *
+ * @throws If the variable is set to anything but a positive integer
+ */
+function positiveIntegerFromEnv(name: string, defaultValue: number): number {
+  const value = Number(process.env[name] || String(defaultValue));
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`Invalid ${name}: ${process.env[name]}`);
+  }
+  return value;
+}
 
-    if (!response.ok) {
-      console.error(
-        `[NWS API] HTTP error: ${response.status} ${response.statusText}`
-      );
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
+// Time limits, each within the one before: a whole tool call (validation
+// included), its DeProof validation, and one NWS API request. The client's
+// TOOL_CALL_TIMEOUT_MS should be longer than the first, so it gets the error
+const TOOL_EXECUTION_TIMEOUT_MS = positiveIntegerFromEnv(
+  "TOOL_EXECUTION_TIMEOUT_MS",
+  20000
+);
+const VALIDATION_TIMEOUT_MS = positiveIntegerFromEnv(
+  "DEPROOF_VALIDATION_TIMEOUT_MS",
+  5000
+);
+const NWS_REQUEST_TIMEOUT_MS = positiveIntegerFromEnv(
+  "NWS_REQUEST_TIMEOUT_MS",
+  10000
+);
 
-    console.log(`[NWS API] Successfully received response: ${url}`);
-    const data = (await response.json()) as T;
-    console.log(`[NWS API] Data parsed successfully`);
-    return data;
-  } catch (error) {
-    if (error instanceof DOMException && error.name === "AbortError") {
-      console.error(`[NWS API] Request timed out: ${url}`);
-      return null;
+/**
+ * Create the weather data provider selected by WEATHER_PROVIDER ("nws" or "fixtures")
+ */
+function createWeatherProvider(): WeatherProvider {
+  const providerType = process.env.WEATHER_PROVIDER || "nws";
+  const fixturesDir =
+    process.env.WEATHER_FIXTURES_DIR ||
+    fileURLToPath(new URL("../fixtures/nws", import.meta.url));
+  switch (providerType) {
+    case "nws": {
+      // Cache of NWS API responses, also on disk when NWS_CACHE_DIR is set
+      const cache = new NWSCache({
+        directory: process.env.NWS_CACHE_DIR || undefined,
+        maxEntries: positiveIntegerFromEnv("NWS_CACHE_MAX_ENTRIES", 500),
+        maxDiskEntries: positiveIntegerFromEnv(
+          "NWS_CACHE_MAX_DISK_ENTRIES",
+          5000
+        ),
+        requestTimeoutMs: NWS_REQUEST_TIMEOUT_MS,
+      });
+      const source = new NWSHttpSource(cache);
+      if (process.env.WEATHER_RECORD_FIXTURES === "true") {
+        log.info("Recording NWS API responses", { directory: fixturesDir });
+        return new NWSProvider(new RecordingSource(source, fixturesDir));
+      }
+      return new NWSProvider(source);
     }
-    console.error(`[NWS API] Request failed: ${url}`, error);
-    return null;
+    case "fixtures":
+      log.info("Serving recorded NWS API responses", {
+        directory: fixturesDir,
+      });
+      return new NWSProvider(new FixtureSource(fixturesDir), "fixtures");
+    default:
+      throw new Error(`Unknown WEATHER_PROVIDER: ${providerType}`);
   }
 }
 
-interface AlertFeature {
-  properties: {
-    event?: string;
-    areaDesc?: string;
-    severity?: string;
-    status?: string;
-    headline?: string;
+const weatherProvider = createWeatherProvider();
+
+// Tool result with the alerts for an area
+function alertsResult(area: string, alerts: AlertData[]) {
+  const result = { area, alerts };
+  return structuredResult(result, formatAlerts(result));
+}
+
+// Tool result with the same data as text and as structuredContent
+function structuredResult<S extends Record<string, unknown>>(
+  structuredContent: S,
+  text: string
+) {
+  return {
+    content: [{ type: "text" as const, text }],
+    structuredContent,
   };
 }
 
-// Format alert data
-function formatAlert(feature: AlertFeature): string {
-  const props = feature.properties;
-  return [
-    `Event: ${props.event || "Unknown"}`,
-    `Area: ${props.areaDesc || "Unknown"}`,
-    `Severity: ${props.severity || "Unknown"}`,
-    `Status: ${props.status || "Unknown"}`,
-    `Headline: ${props.headline || "No headline"}`,
-    "---",
-  ].join("\n");
+/**
+ * Create the nonce store selected by DEPROOF_NONCE_STORE ("memory" or "file")
+ */
+function createNonceStore(): NonceStore {
+  const storeType = process.env.DEPROOF_NONCE_STORE || "memory";
+  const windowSize = positiveIntegerFromEnv(
+    "DEPROOF_NONCE_WINDOW",
+    DEFAULT_NONCE_WINDOW
+  );
+  switch (storeType) {
+    case "memory":
+      log.info("Using in-memory nonce store (sessions are lost on restart)");
+      return new InMemoryNonceStore(windowSize);
+    case "file": {
+      const filePath =
+        process.env.DEPROOF_NONCE_STORE_PATH || "deproof-nonces.json";
+      log.info("Using file nonce store", { file: filePath });
+      return new FileNonceStore(filePath, {
+        sessionTtlMs: SESSION_TTL_HOURS * 60 * 60 * 1000,
+        windowSize,
+      });
+    }
+    default:
+      throw new Error(`Unknown DEPROOF_NONCE_STORE: ${storeType}`);
+  }
 }
 
-interface ForecastPeriod {
-  name?: string;
-  temperature?: number;
-  temperatureUnit?: string;
-  windSpeed?: string;
-  windDirection?: string;
-  shortForecast?: string;
+// Create nonce store
+const nonceStore = createNonceStore();
+
+// Sessions issued by the server, kept in a file alongside a file nonce store
+const sessionRegistry = new SessionRegistry({
+  filePath:
+    process.env.DEPROOF_NONCE_STORE === "file"
+      ? process.env.DEPROOF_SESSION_STORE_PATH || "deproof-sessions.json"
+      : undefined,
+  idleTtlMs: SESSION_TTL_HOURS * 60 * 60 * 1000,
+});
+
+/**
+ * Create the store for rate limit counters, persistent alongside a file nonce store
+ */
+function createUsageStore(): UsageStore {
+  if (process.env.DEPROOF_NONCE_STORE === "file") {
+    const filePath =
+      process.env.DEPROOF_USAGE_STORE_PATH || "deproof-usage.json";
+    log.info("Using file usage store", { file: filePath });
+    return new FileUsageStore(filePath);
+  }
+  return new InMemoryUsageStore();
 }
 
-interface AlertsResponse {
-  features: AlertFeature[];
+// Signer policy from DEPROOF_POLICY_FILE (loaded in main); without it any valid signer is accepted
+const signerPolicy: FileSignerPolicy | null = process.env.DEPROOF_POLICY_FILE
+  ? new FileSignerPolicy(process.env.DEPROOF_POLICY_FILE)
+  : null;
+
+// Per-signer limits over all tools (0: no limit); the policy file can override them
+const DEFAULT_USAGE_LIMIT = {
+  perMinute: Number(process.env.DEPROOF_RATE_LIMIT_PER_MINUTE || "0"),
+  perDay: Number(process.env.DEPROOF_DAILY_QUOTA || "0"),
+};
+if (
+  !(DEFAULT_USAGE_LIMIT.perMinute >= 0) ||
+  !(DEFAULT_USAGE_LIMIT.perDay >= 0)
+) {
+  throw new Error(
+    "Invalid DEPROOF_RATE_LIMIT_PER_MINUTE or DEPROOF_DAILY_QUOTA"
+  );
 }
+// Session challenges each MCP connection may request per minute (challenges need no proof)
+const SESSION_CHALLENGES_PER_MINUTE = positiveIntegerFromEnv(
+  "DEPROOF_SESSION_CHALLENGES_PER_MINUTE",
+  10
+);
+
+const rateLimiter = new RateLimiter(
+  createUsageStore(),
+  DEFAULT_USAGE_LIMIT,
+  signerPolicy ?? undefined
+);
+
+// Key that signs a receipt for every tool result (DEPROOF_SERVER_PRIVATE_KEY)
+const responseSigner = ResponseSigner.fromEnvironment();
+
+// Hash-chained audit log of tool calls from DEPROOF_AUDIT_LOG (opened in main)
+const auditLog: AuditLog | null = process.env.DEPROOF_AUDIT_LOG
+  ? new AuditLog(process.env.DEPROOF_AUDIT_LOG, responseSigner)
+  : null;
 
-interface PointsResponse {
-  properties: {
-    forecast?: string;
+// Schema of the _deProof argument accepted by every protected tool
+const deProofSchema = z
+  .object({
+    version: z.number().optional(),
+    scheme: z.enum(["eip191", "eip712"]).optional(),
+    tool: z.string().optional(),
+    method: z.string().optional(),
+    audience: z.string().optional(),
+    signerAddress: z.string(),
+    nonce: z.number(),
+    session: z.string(),
+    timestamp: z.string(),
+    digest: z.string(),
+    signature: z.string(),
+    delegation: z
+      .object({
+        version: z.number(),
+        master: z.string(),
+        delegate: z.string(),
+        audience: z.string(),
+        session: z.string(),
+        tools: z.array(z.string()),
+        issuedAt: z.string(),
+        expiresAt: z.string(),
+        maxCalls: z.number(),
+        signature: z.string(),
+      })
+      .optional(),
+  })
+  .optional()
+  .describe("Security validation data");
+
+/**
+ * Describe a finished tool call for the audit log
+ */
+function auditRecord(
+  toolName: string,
+  fullParams: any,
+  result: any,
+  receivedAt: Date
+): AuditRecord {
+  const proof = fullParams?._deProof ?? {};
+  const field = <V>(value: V, type: string): V | null =>
+    typeof value === type ? value : null;
+  const params = { ...fullParams };
+  delete params._deProof;
+  const paramsDigest = auditParamsDigest(params);
+
+  const error: ErrorResponse | undefined = result?._meta?.error;
+  // -32015 (usage limit) and -32008 (tool failed or was cancelled) come after a
+  // successful validation that consumed the nonce; other errors reject the proof
+  const outcome: AuditOutcome = !error
+    ? "accepted"
+    : error.code === -32015
+    ? "limited"
+    : error.code === -32008
+    ? "failed"
+    : "rejected";
+
+  return {
+    tool: toolName,
+    method: "tools/call",
+    audience: DEPROOF_AUDIENCE,
+    signerAddress: field(proof.signerAddress, "string"),
+    // Delegated calls are attributed to the master wallet that certified the session key
+    principal: field(proof.delegation?.master ?? proof.signerAddress, "string"),
+    session: field(proof.session, "string"),
+    nonce: field(proof.nonce, "number"),
+    version: field(proof.version, "number"),
+    scheme: field(proof.scheme, "string"),
+    timestamp: field(proof.timestamp, "string"),
+    digest: field(proof.digest, "string"),
+    signature: field(proof.signature, "string"),
+    // Logged so the verifier can rebuild what an "eip191" proof signed
+    params: paramsDigest === null ? null : params,
+    paramsDigest,
+    outcome,
+    errorCode: error?.code ?? null,
+    errorMessage: error?.message ?? null,
+    receivedAt: receivedAt.toISOString(),
+    durationMs: Date.now() - receivedAt.getTime(),
   };
 }
 
-interface ForecastResponse {
-  properties: {
-    periods: ForecastPeriod[];
+/**
+ * Add a signed receipt for a tool result in _meta.receipt
+ */
+async function attachReceipt(result: any, binding: ReceiptBinding) {
+  const receipt = await responseSigner.sign(result, binding);
+  return {
+    ...result,
+    _meta: {
+      ...result._meta,
+      receipt,
+    },
   };
 }
 
-// Create nonce store
-const nonceStore = new InMemoryNonceStore();
+/**
+ * Build an MCP tool error result that carries a machine-readable error in _meta.error
+ */
+function toolErrorResult(prefix: string, error: ErrorResponse) {
+  return {
+    content: [
+      {
+        type: "text" as const,
+        text: `${prefix}: ${error.message} (code ${error.code})`,
+      },
+    ],
+    isError: true,
+    _meta: {
+      error,
+    },
+  };
+}
 
-// Add request timeout control configuration
-const TOOL_EXECUTION_TIMEOUT_MS = 20000; // 20-second timeout
-const VALIDATION_TIMEOUT_MS = 5000; // 5-second validation timeout
+// What a tool handler gets besides its arguments
+interface ToolCallContext {
+  deProof: DeProof;
+  // Aborted when the client cancels the call or disconnects, or the call times out
+  signal: AbortSignal;
+}
+
+/**
+ * Settle like the operation, or reject with the signal's reason as soon as the
+ * signal is aborted (the operation is left to stop on its own)
+ */
+function untilAborted<T>(
+  operation: Promise<T>,
+  signal: AbortSignal
+): Promise<T> {
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+  return new Promise<T>((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    operation
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
 
 // Higher-order function for DeProof validation
-function withDeProofValidation<T, R>(handler: (params: T) => Promise<R>) {
-  return async (fullParams: any, context: any): Promise<any> => {
+function withDeProofValidation<T, R>(
+  toolName: string,
+  handler: (params: T, call: ToolCallContext) => Promise<R>
+) {
+  const validateAndRun = async (
+    fullParams: any,
+    context: any
+  ): Promise<any> => {
     const startTime = Date.now();
-    console.log(
-      `\n\n=========== Server received tool call request ===========\n` +
-        `Time: ${new Date().toISOString()}\n` +
-        `Tool Name: ${context?.toolName || "Unknown tool"}\n` +
-        `Request ID: ${context?.raw?.id || "Unknown"}\n` +
-        `=============================================\n`
-    );
+    log.debug("Tool call received", {
+      tool: toolName,
+      requestId: context?.requestId,
+    });
+
+    // The SDK aborts the request's signal on notifications/cancelled and when the connection closes
+    const cancelled: AbortSignal =
+      context?.signal ?? new AbortController().signal;
+    const timeout = AbortSignal.timeout(TOOL_EXECUTION_TIMEOUT_MS);
+    const signal = AbortSignal.any([cancelled, timeout]);
+    // Result of a call that was aborted before it finished
+    const abortedResult = () => {
+      if (cancelled.aborted) {
+        log.info("Tool call cancelled", {
+          tool: toolName,
+          reason: String(cancelled.reason),
+        });
+        // Only audited: the SDK sends no response to a cancelled request
+        return toolErrorResult("Tool execution cancelled", {
+          code: -32008,
+          message: `Cancelled by the client: ${String(cancelled.reason)}`,
+        });
+      }
+      log.warn("Tool call timed out", {
+        tool: toolName,
+        timeoutMs: TOOL_EXECUTION_TIMEOUT_MS,
+      });
+      return toolErrorResult("Tool execution failed", {
+        code: -32008,
+        message: `Tool execution timed out (${
+          TOOL_EXECUTION_TIMEOUT_MS / 1000
+        } seconds)`,
+      });
+    };
 
     // Prepare the request object to be validated
     const requestToValidate: RequestWithDeProof = {
       params: fullParams,
       id: context?.raw?.id,
-      method: context?.raw?.method,
+      method: "tools/call",
     };
 
     // Validate DeProof
     try {
-      // Create validation Promise and timeout Promise
-      const validationPromise = validateDeProof(requestToValidate, nonceStore);
-      const timeoutPromise = new Promise<ErrorResponse>((_resolve, reject) => {
-        setTimeout(() => {
-          reject(
-            new Error(
-              `DeProof validation timed out (${
-                VALIDATION_TIMEOUT_MS / 1000
-              } seconds)`
-            )
-          );
-        }, VALIDATION_TIMEOUT_MS);
-      });
-
-      // Race the two Promises
-      const validationErrorOrNull = await Promise.race([
+      // Validation runs to the end even if the call is cancelled meanwhile, so
+      // the nonce store stays consistent
+      const validationPromise = validateDeProof(
+        requestToValidate,
+        nonceStore,
+        {
+          tool: toolName,
+          method: "tools/call",
+          audience: DEPROOF_AUDIENCE,
+          acceptLegacyProofs: ACCEPT_LEGACY_PROOFS,
+        },
+        signerPolicy ?? undefined,
+        sessionRegistry
+      );
+      const validationErrorOrNull = await untilAborted(
         validationPromise,
-        timeoutPromise,
-      ]).catch(
+        AbortSignal.timeout(VALIDATION_TIMEOUT_MS)
+      ).catch(
         (error): ErrorResponse => ({
           code: -32099,
-          message: error instanceof Error ? error.message : String(error),
+          message:
+            error instanceof DOMException && error.name === "TimeoutError"
+              ? `DeProof validation timed out (${
+                  VALIDATION_TIMEOUT_MS / 1000
+                } seconds)`
+              : error instanceof Error
+              ? error.message
+              : String(error),
         })
       );
 
       // If validation returns an error (non-null), then the request fails
       if (validationErrorOrNull !== null) {
         // validationErrorOrNull is now guaranteed to be of type ErrorResponse
-        console.error(`DeProof validation failed:`, validationErrorOrNull);
-        return {
-          content: [
-            {
-              type: "text",
-              text: `DeProof validation failed: ${validationErrorOrNull.message}`,
-            },
-          ],
-          _meta: {
-            error: validationErrorOrNull,
-          },
-        };
+        log.warn("DeProof validation failed", {
+          tool: toolName,
+          code: validationErrorOrNull.code,
+          reason: validationErrorOrNull.message,
+        });
+        return toolErrorResult(
+          "DeProof validation failed",
+          validationErrorOrNull
+        );
+      }
+
+      if (signal.aborted) {
+        return abortedResult();
+      }
+
+      // Only valid calls count towards rate limits and quotas
+      const limitError = await rateLimiter.consume(
+        deProofPrincipal(fullParams._deProof),
+        toolName
+      );
+      if (limitError) {
+        log.warn("Call rejected", {
+          tool: toolName,
+          code: limitError.code,
+          reason: limitError.message,
+        });
+        return toolErrorResult("Call rejected", limitError);
       }
 
       // Extract actual tool parameters from parameters (remove _deProof)
@@ -176,299 +532,506 @@ function withDeProofValidation<T, R>(handler: (params: T) => Promise<R>) {
       delete actualParams._deProof;
 
       // Now execute the actual tool processing logic
-      const validationTime = Date.now() - startTime;
-      console.log(
-        `DeProof validation passed! Time taken ${validationTime}ms, starting tool execution...`
-      );
-
-      // Add tool execution timeout protection
-      const handlerPromise = handler(actualParams as T);
-      const toolTimeoutPromise = new Promise<never>((_, reject) => {
-        setTimeout(() => {
-          reject(
-            new Error(
-              `Tool execution timed out (${
-                TOOL_EXECUTION_TIMEOUT_MS / 1000
-              } seconds)`
-            )
-          );
-        }, TOOL_EXECUTION_TIMEOUT_MS);
+      log.debug("Executing tool", {
+        tool: toolName,
+        args: actualParams,
+        validationMs: Date.now() - startTime,
       });
 
-      // Execute tool and return result
+      // Execute tool and return result; the handler passes the signal on to its
+      // requests, and the call ends when it aborts even if the handler does not
       try {
-        const result = await Promise.race([handlerPromise, toolTimeoutPromise]);
-        const totalTime = Date.now() - startTime;
-        console.log(
-          `Tool execution completed! Total time taken ${totalTime}ms`
+        const result = await untilAborted(
+          handler(actualParams as T, {
+            deProof: fullParams._deProof,
+            signal,
+          }),
+          signal
         );
+        log.info("Tool call completed", {
+          tool: toolName,
+          durationMs: Date.now() - startTime,
+        });
         return result;
       } catch (error) {
-        console.error(`Tool execution error:`, error);
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Tool execution failed: ${
-                error instanceof Error ? error.message : String(error)
-              }`,
-            },
-          ],
-          _meta: {
-            error: {
-              code: -32008,
-              message: `Tool execution failed: ${
-                error instanceof Error ? error.message : String(error)
-              }`,
-            },
-          },
-        };
+        if (signal.aborted) {
+          return abortedResult();
+        }
+        log.warn("Tool execution failed", { tool: toolName, error });
+        return toolErrorResult("Tool execution failed", {
+          code: -32008,
+          message: error instanceof Error ? error.message : String(error),
+        });
       }
     } catch (error) {
-      console.error(`DeProof validation or tool execution exception:`, error);
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Request processing exception: ${
-              error instanceof Error ? error.message : String(error)
-            }`,
-          },
-        ],
-        _meta: {
-          error: {
-            code: -32000,
-            message: `Request processing exception: ${
-              error instanceof Error ? error.message : String(error)
-            }`,
-          },
-        },
-      };
+      log.error("Request processing exception", { tool: toolName, error });
+      return toolErrorResult("Request processing exception", {
+        code: -32000,
+        message: error instanceof Error ? error.message : String(error),
+      });
     }
   };
-}
-
-// Create server instance
-const server = new McpServer({
-  name: "weather",
-  version: "1.0.0",
-});
 
-// Register weather tools
-server.tool(
-  "get-alerts",
-  "Get weather alerts for a state",
-  {
-    state: z.string().length(2).describe("Two-letter state code (e.g. CA, NY)"),
-    _deProof: z
-      .object({
-        signerAddress: z.string(),
-        nonce: z.number(),
-        session: z.string(),
-        timestamp: z.string(),
-        digest: z.string(),
-        signature: z.string(),
-      })
-      .optional()
-      .describe("Security validation data"),
-  },
-  withDeProofValidation(async ({ state }: { state: string }) => {
-    const stateCode = state.toUpperCase();
-    const alertsUrl = `${NWS_API_BASE}/alerts?area=${stateCode}`;
-
-    console.log(`Processing get-alerts request: ${state}`);
-
-    const alertsData = await makeNWSRequest<AlertsResponse>(alertsUrl);
-
-    if (!alertsData) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: "Failed to retrieve alerts data",
-          },
-        ],
-      };
+  // Every result, errors included, is audited and leaves with a receipt signed by the server
+  return async (fullParams: any, context: any): Promise<any> => {
+    const receivedAt = new Date();
+    const result = await validateAndRun(fullParams, context);
+    if (auditLog) {
+      await auditLog
+        .append(auditRecord(toolName, fullParams, result, receivedAt))
+        .catch((error) => {
+          log.error("Failed to record the call in the audit log", {
+            tool: toolName,
+            error,
+          });
+        });
     }
+    const digest = fullParams?._deProof?.digest;
+    return attachReceipt(result, {
+      audience: DEPROOF_AUDIENCE,
+      tool: toolName,
+      requestDigest: typeof digest === "string" ? digest : null,
+    });
+  };
+}
 
-    const features = alertsData.features || [];
-    if (features.length === 0) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `No active alerts for ${stateCode}`,
-          },
-        ],
-      };
-    }
+/**
+ * Create an MCP server with the weather tools registered
+ *
+ * Over HTTP every MCP session gets its own server; all of them share the
+ * nonce store and signer policy above.
+ */
+function createServer(): McpServer {
+  const server = new McpServer(SERVER_INFO);
+  // Limits the challenges this connection's deproof-open-session calls issue
+  const challengeLimiter = new RateLimiter(new InMemoryUsageStore(), {
+    perMinute: SESSION_CHALLENGES_PER_MINUTE,
+    perDay: 0,
+  });
 
-    const formattedAlerts = features.map(formatAlert);
-    const alertsText = `Active alerts for ${stateCode}:\n\n${formattedAlerts.join(
-      "\n"
-    )}`;
+  // Register weather tools
+  server.registerTool(
+    "get-alerts",
+    {
+      description: "Get weather alerts for a state",
+      inputSchema: {
+        state: z
+          .string()
+          .length(2)
+          .describe("Two-letter state code (e.g. CA, NY)"),
+        _deProof: deProofSchema,
+      },
+      outputSchema: alertsOutputShape,
+    },
+    withDeProofValidation(
+      "get-alerts",
+      async ({ state }: { state: string }, { signal }) => {
+        const stateCode = state.toUpperCase();
 
-    return {
-      content: [
+        const alerts = await weatherProvider.getAlerts(
+          { state: stateCode },
+          signal
+        );
+        return alertsResult(stateCode, alerts);
+      }
+    )
+  );
+
+  server.registerTool(
+    "get-forecast",
+    {
+      description: "Get weather forecast for a location",
+      inputSchema: {
+        latitude: z
+          .number()
+          .min(-90)
+          .max(90)
+          .describe("Latitude of the location"),
+        longitude: z
+          .number()
+          .min(-180)
+          .max(180)
+          .describe("Longitude of the location"),
+        units: unitsSchema,
+        _deProof: deProofSchema,
+      },
+      outputSchema: forecastOutputShape,
+    },
+    withDeProofValidation(
+      "get-forecast",
+      async (
         {
-          type: "text",
-          text: alertsText,
+          latitude,
+          longitude,
+          units = "imperial",
+        }: {
+          latitude: number;
+          longitude: number;
+          units?: Units;
         },
-      ],
-    };
-  })
-);
-
-server.tool(
-  "get-forecast",
-  "Get weather forecast for a location",
-  {
-    latitude: z.number().min(-90).max(90).describe("Latitude of the location"),
-    longitude: z
-      .number()
-      .min(-180)
-      .max(180)
-      .describe("Longitude of the location"),
-    _deProof: z
-      .object({
-        signerAddress: z.string(),
-        nonce: z.number(),
-        session: z.string(),
-        timestamp: z.string(),
-        digest: z.string(),
-        signature: z.string(),
-      })
-      .optional()
-      .describe("Security validation data"),
-  },
-  withDeProofValidation(
-    async ({
-      latitude,
-      longitude,
-    }: {
-      latitude: number;
-      longitude: number;
-    }) => {
-      // Add critical debug log - if you see this log, it means DeProof validation passed and the tool handler function was executed
-      console.log(
-        `===== get-forecast tool is executing! Coordinates: (${latitude}, ${longitude}) =====`
-      );
-      console.time("get-forecast tool execution time");
+        { signal }
+      ) => {
+        const forecast = {
+          latitude,
+          longitude,
+          units,
+          periods: await weatherProvider.getForecast(
+            latitude,
+            longitude,
+            units,
+            signal
+          ),
+        };
+        return structuredResult(
+          forecast,
+          `Forecast for ${latitude}, ${longitude}:\n\n${forecast.periods
+            .map(formatForecastPeriod)
+            .join("\n")}`
+        );
+      }
+    )
+  );
 
-      try {
-        // Get grid point data
-        const pointsUrl = `${NWS_API_BASE}/points/${latitude.toFixed(
-          4
-        )},${longitude.toFixed(4)}`;
-        console.log("Requesting NWS API point data:", pointsUrl);
-
-        const pointsData = await makeNWSRequest<PointsResponse>(pointsUrl);
-
-        if (!pointsData) {
-          console.log("Could not get point data");
-          return {
-            content: [
-              {
-                type: "text",
-                text: `Failed to retrieve grid point data for coordinates: ${latitude}, ${longitude}. This location may not be supported by the NWS API (only US locations are supported).`,
-              },
-            ],
-          };
+  server.registerTool(
+    "get-hourly-forecast",
+    {
+      description: "Get the hourly weather forecast for a location",
+      inputSchema: {
+        latitude: z
+          .number()
+          .min(-90)
+          .max(90)
+          .describe("Latitude of the location"),
+        longitude: z
+          .number()
+          .min(-180)
+          .max(180)
+          .describe("Longitude of the location"),
+        hours: z
+          .number()
+          .int()
+          .min(1)
+          .max(MAX_HOURLY_FORECAST_HOURS)
+          .optional()
+          .describe(
+            `Number of hours to forecast, starting now (1-${MAX_HOURLY_FORECAST_HOURS}, default 12)`
+          ),
+        units: unitsSchema,
+        _deProof: deProofSchema,
+      },
+      outputSchema: forecastOutputShape,
+    },
+    withDeProofValidation(
+      "get-hourly-forecast",
+      async (
+        {
+          latitude,
+          longitude,
+          hours = 12,
+          units = "imperial",
+        }: {
+          latitude: number;
+          longitude: number;
+          hours?: number;
+          units?: Units;
+        },
+        { signal }
+      ) => {
+        const periods = await weatherProvider.getHourlyForecast(
+          latitude,
+          longitude,
+          hours,
+          units,
+          signal
+        );
+        if (periods.length === 0) {
+          throw new Error("No hourly forecast periods available");
         }
 
-        const forecastUrl = pointsData.properties?.forecast;
-        if (!forecastUrl) {
-          console.log("Could not get forecast URL from point data");
-          return {
-            content: [
-              {
-                type: "text",
-                text: "Failed to get forecast URL from grid point data",
-              },
-            ],
-          };
-        }
+        const forecast = { latitude, longitude, units, periods };
+        return structuredResult(
+          forecast,
+          `Hourly forecast for ${latitude}, ${longitude} (next ${
+            forecast.periods.length
+          } hours):\n\n${forecast.periods.map(formatHourlyPeriod).join("\n")}`
+        );
+      }
+    )
+  );
 
-        console.log("Requesting forecast data:", forecastUrl);
-        // Get forecast data
-        const forecastData = await makeNWSRequest<ForecastResponse>(
-          forecastUrl
+  server.registerTool(
+    "get-observation",
+    {
+      description:
+        "Get the latest weather observation from the station nearest to a location",
+      inputSchema: {
+        latitude: z
+          .number()
+          .min(-90)
+          .max(90)
+          .describe("Latitude of the location"),
+        longitude: z
+          .number()
+          .min(-180)
+          .max(180)
+          .describe("Longitude of the location"),
+        units: unitsSchema,
+        _deProof: deProofSchema,
+      },
+      outputSchema: observationOutputShape,
+    },
+    withDeProofValidation(
+      "get-observation",
+      async (
+        {
+          latitude,
+          longitude,
+          units = "imperial",
+        }: {
+          latitude: number;
+          longitude: number;
+          units?: Units;
+        },
+        { signal }
+      ) => {
+        const observation = await weatherProvider.getObservation(
+          latitude,
+          longitude,
+          units,
+          signal
         );
-        if (!forecastData) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: "Failed to retrieve forecast data",
-              },
-            ],
-          };
-        }
+        return structuredResult(observation, formatObservation(observation));
+      }
+    )
+  );
 
-        const periods = forecastData.properties?.periods || [];
-        if (periods.length === 0) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: "No forecast periods available",
-              },
-            ],
-          };
+  server.registerTool(
+    "get-zone-alerts",
+    {
+      description: "Get active weather alerts for a location or an NWS zone",
+      inputSchema: {
+        latitude: z
+          .number()
+          .min(-90)
+          .max(90)
+          .optional()
+          .describe(
+            "Latitude of the location (with longitude, instead of zone)"
+          ),
+        longitude: z
+          .number()
+          .min(-180)
+          .max(180)
+          .optional()
+          .describe(
+            "Longitude of the location (with latitude, instead of zone)"
+          ),
+        zone: z
+          .string()
+          .regex(/^[A-Za-z]{2}[CZcz]\d{3}$/)
+          .optional()
+          .describe(
+            "NWS forecast zone or county code (e.g. CAZ006), instead of a location"
+          ),
+        _deProof: deProofSchema,
+      },
+      outputSchema: alertsOutputShape,
+    },
+    withDeProofValidation(
+      "get-zone-alerts",
+      async (
+        {
+          latitude,
+          longitude,
+          zone,
+        }: {
+          latitude?: number;
+          longitude?: number;
+          zone?: string;
+        },
+        { signal }
+      ) => {
+        let area: AlertArea;
+        let areaName: string;
+        if (
+          zone !== undefined &&
+          latitude === undefined &&
+          longitude === undefined
+        ) {
+          area = { zone: zone.toUpperCase() };
+          areaName = `zone ${area.zone}`;
+        } else if (
+          zone === undefined &&
+          latitude !== undefined &&
+          longitude !== undefined
+        ) {
+          area = { latitude, longitude };
+          areaName = `${latitude}, ${longitude}`;
+        } else {
+          throw new Error(
+            "Specify either latitude and longitude, or a zone, but not both"
+          );
         }
 
-        // Format forecast periods
-        const formattedForecast = periods.map((period: ForecastPeriod) =>
-          [
-            `${period.name || "Unknown"}:`,
-            `Temperature: ${period.temperature || "Unknown"}°${
-              period.temperatureUnit || "F"
-            }`,
-            `Wind: ${period.windSpeed || "Unknown"} ${
-              period.windDirection || ""
-            }`,
-            `${period.shortForecast || "No forecast available"}`,
-            "---",
-          ].join("\n")
-        );
+        const alerts = await weatherProvider.getAlerts(area, signal);
+        return alertsResult(areaName, alerts);
+      }
+    )
+  );
 
-        const forecastText = `Forecast for ${latitude}, ${longitude}:\n\n${formattedForecast.join(
-          "\n"
-        )}`;
+  // DeProof session handshake: a client gets a challenge here and opens it with its first proof
+  server.registerTool(
+    DEPROOF_OPEN_SESSION_TOOL,
+    {
+      description:
+        "Issue a DeProof session challenge (used by the DeProof client, not a weather tool)",
+      inputSchema: {
+        [CHALLENGE_NONCE_ARGUMENT]: z
+          .string()
+          .regex(/^[0-9a-f]{64}$/)
+          .optional(),
+      },
+    },
+    async (args) => {
+      // The receipt answers the client's nonce, so the client knows it is fresh
+      const requestDigest = args[CHALLENGE_NONCE_ARGUMENT] ?? null;
+      let result;
+      try {
+        const limitError = await challengeLimiter.consume(
+          "connection",
+          DEPROOF_OPEN_SESSION_TOOL
+        );
+        if (limitError) {
+          return attachReceipt(
+            toolErrorResult("Session challenge refused", limitError),
+            {
+              audience: DEPROOF_AUDIENCE,
+              tool: DEPROOF_OPEN_SESSION_TOOL,
+              requestDigest,
+            }
+          );
+        }
+        const issued = await sessionRegistry.issueSession();
+        result = {
+          content: [
+            {
+              type: "text" as const,
+              text: `Session ${issued.session} issued, open it with a DeProof before ${issued.expiresAt}`,
+            },
+          ],
+          _meta: { session: issued },
+        };
+      } catch (error) {
+        log.error("Failed to issue a session", { error });
+        result = toolErrorResult("Session challenge failed", {
+          code: -32000,
+          message: error instanceof Error ? error.message : String(error),
+        });
+      }
+      return attachReceipt(result, {
+        audience: DEPROOF_AUDIENCE,
+        tool: DEPROOF_OPEN_SESSION_TOOL,
+        requestDigest,
+      });
+    }
+  );
 
+  server.registerTool(
+    DEPROOF_CLOSE_SESSION_TOOL,
+    {
+      description:
+        "Close the DeProof session the proof was signed for (used by the DeProof client, not a weather tool)",
+      inputSchema: {
+        _deProof: deProofSchema,
+      },
+    },
+    withDeProofValidation(
+      DEPROOF_CLOSE_SESSION_TOOL,
+      async (_params: Record<string, never>, { deProof }) => {
+        const error = await sessionRegistry.closeSession(
+          deProof.session,
+          deProofPrincipal(deProof)
+        );
+        if (error) {
+          throw new Error(error.message);
+        }
         return {
           content: [
             {
               type: "text",
-              text: forecastText,
+              text: `Session ${deProof.session} closed`,
             },
           ],
         };
-      } finally {
-        console.timeEnd("get-forecast tool execution time");
       }
-    }
-  )
-);
+    )
+  );
+
+  return server;
+}
 
 // Start the server
 async function main() {
   try {
-    console.log("==============================");
-    console.log("Weather MCP Server starting...");
-    console.log("Full DeProof validation mechanism integrated");
-    console.log("==============================");
-
-    const transport = new StdioServerTransport();
-    server.connect(transport);
-    console.log("Weather MCP Server running on stdio");
+    log.info("Weather MCP Server starting", {
+      provider: weatherProvider.name,
+      receiptSigner: responseSigner.address,
+    });
+
+    if (auditLog) {
+      await auditLog.open();
+    }
+
+    if (signerPolicy) {
+      await signerPolicy.start();
+    } else {
+      log.info(
+        "No DEPROOF_POLICY_FILE set: any signer with a valid proof is accepted"
+      );
+    }
+
+    const transportType = process.env.MCP_TRANSPORT || "stdio";
+    switch (transportType) {
+      case "stdio": {
+        const transport = new StdioServerTransport();
+        await createServer().connect(transport);
+        log.info("Weather MCP Server running on stdio");
+        break;
+      }
+      case "http": {
+        const { host, port } = parseListenAddress(
+          process.env.MCP_HTTP_LISTEN || "127.0.0.1:3000"
+        );
+        const idleMinutes = positiveNumberFromEnv(
+          "MCP_HTTP_SESSION_IDLE_MINUTES",
+          30
+        );
+        await startHttpServer(createServer, {
+          host,
+          port,
+          sessionIdleTimeoutMs: idleMinutes * 60 * 1000,
+          maxSessions: positiveIntegerFromEnv("MCP_HTTP_MAX_SESSIONS", 1000),
+          allowedHosts: process.env.MCP_HTTP_ALLOWED_HOSTS
+            ? process.env.MCP_HTTP_ALLOWED_HOSTS.split(",").map((name) =>
+                name.trim()
+              )
+            : undefined,
+        });
+        log.info("Weather MCP Server running", {
+          url: `http://${host}:${port}${MCP_HTTP_PATH}`,
+        });
+        break;
+      }
+      default:
+        throw new Error(`Unknown MCP_TRANSPORT: ${transportType}`);
+    }
   } catch (error) {
-    console.error("Failed to start server:", error);
+    log.error("Failed to start server", { error });
     process.exit(1);
   }
 }
 
 main().catch((error) => {
-  console.error("Fatal error in main():", error);
+  log.error("Fatal error in main()", { error });
   process.exit(1);
 });
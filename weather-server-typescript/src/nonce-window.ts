@@ -0,0 +1,126 @@
+/**
+ * Sliding-window nonce tracking (as in IPsec/DTLS replay protection).
+ *
+ * For each signer/session the server keeps the next nonce above every nonce
+ * used so far, plus a bitmap of which of the `windowSize` nonces below it have
+ * been used. A nonce is accepted once, in any order, as long as it is not
+ * below the window and not more than `windowSize` ahead of it. A window size
+ * of 1 is the strict "nonce must equal the next nonce" rule.
+ */
+
+// Default number of nonces that may be used out of order
+export const DEFAULT_NONCE_WINDOW = 32;
+// Largest supported window
+export const MAX_NONCE_WINDOW = 1024;
+
+export interface NonceWindowState {
+  nextNonce: number;
+  // Bit i set: nonce nextNonce - 1 - i has been used
+  usedBitmap: bigint;
+}
+
+// Why a nonce cannot be used
+export type NonceRejection = "used" | "too-old" | "too-far-ahead";
+
+export type NonceCheck =
+  | { ok: true }
+  | { ok: false; reason: NonceRejection; expectedNonce: number };
+
+export const EMPTY_NONCE_WINDOW: NonceWindowState = {
+  nextNonce: 0,
+  usedBitmap: 0n,
+};
+
+/**
+ * Validate a window size from configuration
+ */
+export function checkNonceWindowSize(windowSize: number): number {
+  if (
+    !Number.isInteger(windowSize) ||
+    windowSize < 1 ||
+    windowSize > MAX_NONCE_WINDOW
+  ) {
+    throw new Error(
+      `Nonce window must be an integer from 1 to ${MAX_NONCE_WINDOW}, got ${windowSize}`
+    );
+  }
+  return windowSize;
+}
+
+// Bitmap with the lowest `bits` bits set
+function lowBits(bits: number): bigint {
+  return (1n << BigInt(bits)) - 1n;
+}
+
+/**
+ * Window state read back from storage whose bitmap covered `trackedBits`
+ * nonces below nextNonce. Nonces it did not cover (e.g. after the window was
+ * enlarged) are treated as used, so they cannot be replayed.
+ */
+export function restoreNonceWindow(
+  nextNonce: number,
+  usedBitmap: bigint,
+  trackedBits: number,
+  windowSize: number
+): NonceWindowState {
+  const untracked = lowBits(windowSize) & ~lowBits(trackedBits);
+  return {
+    nextNonce,
+    usedBitmap:
+      ((usedBitmap & lowBits(trackedBits)) | untracked) & lowBits(windowSize),
+  };
+}
+
+/**
+ * Check whether a nonce may be used now
+ */
+export function checkNonce(
+  state: NonceWindowState,
+  nonce: number,
+  windowSize: number
+): NonceCheck {
+  const reject = (reason: NonceRejection): NonceCheck => ({
+    ok: false,
+    reason,
+    expectedNonce: state.nextNonce,
+  });
+  if (!Number.isSafeInteger(nonce) || nonce < 0) {
+    return reject("too-old");
+  }
+  if (nonce >= state.nextNonce) {
+    return nonce < state.nextNonce + windowSize
+      ? { ok: true }
+      : reject("too-far-ahead");
+  }
+  const offset = state.nextNonce - 1 - nonce;
+  if (offset >= windowSize) {
+    return reject("too-old");
+  }
+  return (state.usedBitmap >> BigInt(offset)) & 1n
+    ? reject("used")
+    : { ok: true };
+}
+
+/**
+ * Mark a nonce used; the nonce must have passed checkNonce
+ */
+export function markNonceUsed(
+  state: NonceWindowState,
+  nonce: number,
+  windowSize: number
+): NonceWindowState {
+  const mask = lowBits(windowSize);
+  if (nonce >= state.nextNonce) {
+    // Slide the window up so the nonce becomes its newest entry
+    const shift = BigInt(nonce + 1 - state.nextNonce);
+    return {
+      nextNonce: nonce + 1,
+      usedBitmap: ((state.usedBitmap << shift) | 1n) & mask,
+    };
+  }
+  const offset = BigInt(state.nextNonce - 1 - nonce);
+  return {
+    nextNonce: state.nextNonce,
+    usedBitmap: (state.usedBitmap | (1n << offset)) & mask,
+  };
+}
@@ -0,0 +1,375 @@
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { getLogger } from "deproof-shared";
+import { writeFileAtomic } from "./atomic-file.js";
+
+const log = getLogger("NWSCache");
+
+// How long responses of an endpoint stay fresh, unless the response allows less
+export interface CacheTtlRule {
+  pattern: RegExp;
+  ttlMs: number;
+}
+
+const MINUTE_MS = 60 * 1000;
+
+// Grid point mappings practically never change; forecasts are updated about hourly
+export const DEFAULT_TTL_RULES: CacheTtlRule[] = [
+  { pattern: /\/points\//, ttlMs: 24 * 60 * MINUTE_MS },
+  { pattern: /\/gridpoints\/.*\/stations/, ttlMs: 24 * 60 * MINUTE_MS },
+  { pattern: /\/gridpoints\/.*\/forecast/, ttlMs: 30 * MINUTE_MS },
+  { pattern: /\/alerts/, ttlMs: MINUTE_MS },
+];
+const DEFAULT_TTL_MS = 5 * MINUTE_MS;
+
+// Names of the entry files in the cache directory
+const ENTRY_FILE_NAME = /^[0-9a-f]{64}\.json$/;
+
+export interface NWSCacheOptions {
+  // Also keep responses in this directory, so they survive restarts (memory only if omitted)
+  directory?: string;
+  // Responses kept in memory; the least recently used are evicted first
+  maxEntries?: number;
+  // Responses kept in the directory; the least recently used files are deleted first
+  maxDiskEntries?: number;
+  ttlRules?: CacheTtlRule[];
+  // Abort a request to the API after this long
+  requestTimeoutMs?: number;
+}
+
+// A request to the API that callers of the same URL share
+interface InFlightRequest {
+  url: string;
+  response: Promise<unknown>;
+  // Aborts the request once every caller waiting for it has given up
+  controller: AbortController;
+  waiters: number;
+}
+
+// A cached response (also the on-disk format)
+interface CacheEntry {
+  url: string;
+  body: unknown;
+  etag?: string;
+  lastModified?: string;
+  // Epoch milliseconds after which the entry must be revalidated
+  expiresAt: number;
+}
+
+/**
+ * Freshness lifetime allowed by Cache-Control / Expires, or null if the response sets none
+ */
+function responseLifetimeMs(headers: Headers, now: number): number | null {
+  const cacheControl = headers.get("cache-control")?.toLowerCase() ?? "";
+  const directives = cacheControl.split(",").map((part) => part.trim());
+  if (directives.includes("no-store") || directives.includes("no-cache")) {
+    return 0;
+  }
+  const age = Number(headers.get("age") ?? "0") || 0;
+  const maxAge = directives.find((part) => part.startsWith("max-age="));
+  if (maxAge) {
+    const seconds = Number(maxAge.substring("max-age=".length));
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds - age) * 1000;
+    }
+  }
+  const expires = Date.parse(headers.get("expires") ?? "");
+  if (!Number.isNaN(expires)) {
+    // Relative to the server's clock when it sent a Date header
+    const date = Date.parse(headers.get("date") ?? "");
+    return Math.max(0, expires - (Number.isNaN(date) ? now : date));
+  }
+  return null;
+}
+
+/**
+ * In-process cache for NWS API GET requests.
+ *
+ * Responses are fresh for the shorter of their endpoint's TTL and the lifetime
+ * allowed by Cache-Control / Expires (no-store and no-cache responses are
+ * revalidated every time). Stale entries are revalidated with If-None-Match /
+ * If-Modified-Since, and identical requests in flight share one API call, which
+ * is aborted when all of its callers have been aborted. Cached bodies are
+ * shared between callers and must not be modified. The directory is bounded
+ * like the memory layer: past maxDiskEntries files, the least recently used are
+ * deleted. It must not be shared by several server processes.
+ */
+export class NWSCache {
+  private readonly directory: string | null;
+  private readonly maxEntries: number;
+  private readonly maxDiskEntries: number;
+  private readonly ttlRules: CacheTtlRule[];
+  private readonly requestTimeoutMs: number;
+  // Insertion order is recency order
+  private readonly entries = new Map<string, CacheEntry>();
+  private readonly inFlight = new Map<string, InFlightRequest>();
+  // Entry files in the directory, in recency order (listed on first use)
+  private diskEntries: Promise<Set<string>> | null = null;
+
+  constructor(options: NWSCacheOptions = {}) {
+    this.directory = options.directory ? path.resolve(options.directory) : null;
+    this.maxEntries = options.maxEntries ?? 500;
+    this.maxDiskEntries = options.maxDiskEntries ?? 5000;
+    this.ttlRules = options.ttlRules ?? DEFAULT_TTL_RULES;
+    this.requestTimeoutMs = options.requestTimeoutMs ?? 10000;
+  }
+
+  /**
+   * GET a JSON resource, from the cache if it is fresh
+   *
+   * @param signal - Stops waiting for the response (with the signal's reason)
+   * @throws If the request fails and there is no fresh response
+   */
+  async getJSON<T>(
+    url: string,
+    headers: Record<string, string>,
+    signal?: AbortSignal
+  ): Promise<T> {
+    signal?.throwIfAborted();
+    const entry = await this.lookup(url);
+    if (entry && Date.now() < entry.expiresAt) {
+      log.debug("Hit", { url });
+      return entry.body as T;
+    }
+
+    // Callers of the same URL wait for the one request already on its way
+    let request = this.inFlight.get(url);
+    if (request) {
+      log.debug("Joining request in flight", { url });
+    } else {
+      const controller = new AbortController();
+      const newRequest: InFlightRequest = {
+        url,
+        controller,
+        waiters: 0,
+        response: this.fetchEntry(url, headers, entry, controller.signal),
+      };
+      newRequest.response
+        .finally(() => this.forget(newRequest))
+        .catch(() => undefined);
+      this.inFlight.set(url, newRequest);
+      request = newRequest;
+    }
+    return this.waitFor(request, signal) as Promise<T>;
+  }
+
+  // Wait for a shared request; a caller without a signal keeps it going to the end
+  private waitFor(
+    request: InFlightRequest,
+    signal: AbortSignal | undefined
+  ): Promise<unknown> {
+    request.waiters++;
+    if (!signal) {
+      return request.response;
+    }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        request.waiters--;
+        if (request.waiters === 0) {
+          log.debug("Aborting request, no caller is waiting", {
+            url: request.url,
+          });
+          // Later callers start a new request
+          this.forget(request);
+          request.controller.abort(signal.reason);
+        }
+        reject(signal.reason);
+      };
+      signal.addEventListener("abort", onAbort, { once: true });
+      request.response
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener("abort", onAbort));
+    });
+  }
+
+  private forget(request: InFlightRequest) {
+    if (this.inFlight.get(request.url) === request) {
+      this.inFlight.delete(request.url);
+    }
+  }
+
+  private async fetchEntry(
+    url: string,
+    headers: Record<string, string>,
+    stale: CacheEntry | null,
+    signal: AbortSignal
+  ): Promise<unknown> {
+    const requestHeaders = { ...headers };
+    if (stale?.etag) {
+      requestHeaders["If-None-Match"] = stale.etag;
+    }
+    if (stale?.lastModified) {
+      requestHeaders["If-Modified-Since"] = stale.lastModified;
+    }
+
+    // Also covers reading the body
+    const response = await fetch(url, {
+      headers: requestHeaders,
+      signal: AbortSignal.any([
+        signal,
+        AbortSignal.timeout(this.requestTimeoutMs),
+      ]),
+    });
+
+    const now = Date.now();
+    if (response.status === 304 && stale) {
+      log.debug("Revalidated", { url });
+      const entry = {
+        ...stale,
+        etag: response.headers.get("etag") ?? stale.etag,
+        expiresAt: now + this.freshnessMs(url, response.headers, now),
+      };
+      await this.store(entry);
+      return entry.body;
+    }
+    if (!response.ok) {
+      log.warn("HTTP error", {
+        url,
+        status: response.status,
+        statusText: response.statusText,
+      });
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const body: unknown = await response.json();
+    const cacheControl = response.headers.get("cache-control") ?? "";
+    if (cacheControl.toLowerCase().includes("no-store")) {
+      return body;
+    }
+    await this.store({
+      url,
+      body,
+      etag: response.headers.get("etag") ?? undefined,
+      lastModified: response.headers.get("last-modified") ?? undefined,
+      expiresAt: now + this.freshnessMs(url, response.headers, now),
+    });
+    return body;
+  }
+
+  private freshnessMs(url: string, headers: Headers, now: number): number {
+    const rule = this.ttlRules.find(({ pattern }) => pattern.test(url));
+    const ttlMs = rule ? rule.ttlMs : DEFAULT_TTL_MS;
+    const lifetimeMs = responseLifetimeMs(headers, now);
+    return lifetimeMs === null ? ttlMs : Math.min(ttlMs, lifetimeMs);
+  }
+
+  private async lookup(url: string): Promise<CacheEntry | null> {
+    const entry = this.entries.get(url);
+    if (entry) {
+      this.remember(entry);
+      return entry;
+    }
+    if (!this.directory) {
+      return null;
+    }
+    try {
+      const raw = await fs.readFile(this.entryPath(url), "utf8");
+      const stored = JSON.parse(raw) as CacheEntry;
+      if (stored.url !== url) {
+        return null;
+      }
+      this.remember(stored);
+      await this.touchFile(this.entryFileName(url));
+      return stored;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== "ENOENT") {
+        // A damaged entry is fetched again
+        log.warn("Cannot read cached response", { url, error });
+      }
+      return null;
+    }
+  }
+
+  private async store(entry: CacheEntry): Promise<void> {
+    this.remember(entry);
+    if (!this.directory) {
+      return;
+    }
+    try {
+      await writeFileAtomic(this.entryPath(entry.url), JSON.stringify(entry));
+      await this.touchFile(this.entryFileName(entry.url));
+    } catch (error) {
+      // The disk layer is best effort; the response is still served from memory
+      log.warn("Cannot write cached response", { url: entry.url, error });
+    }
+  }
+
+  // Mark an entry file as most recently used, deleting the least recently used past the limit
+  private async touchFile(name: string): Promise<void> {
+    const files = await this.listDiskEntries();
+    files.delete(name);
+    files.add(name);
+    while (files.size > this.maxDiskEntries) {
+      const oldest = files.values().next().value as string;
+      files.delete(oldest);
+      await this.deleteFile(oldest);
+    }
+  }
+
+  // The entry files already in the directory, oldest first by modification time
+  private listDiskEntries(): Promise<Set<string>> {
+    if (!this.diskEntries) {
+      this.diskEntries = (async () => {
+        const directory = this.directory as string;
+        let names: string[] = [];
+        try {
+          names = (await fs.readdir(directory)).filter((name) =>
+            ENTRY_FILE_NAME.test(name)
+          );
+        } catch (error) {
+          // Files written from now on are still bounded
+          if ((error as NodeJS.ErrnoException).code !== "ENOENT") {
+            log.warn("Cannot list cached responses", { directory, error });
+          }
+        }
+        const modified = new Map<string, number>();
+        for (const name of names) {
+          try {
+            modified.set(
+              name,
+              (await fs.stat(path.join(directory, name))).mtimeMs
+            );
+          } catch {
+            // Deleted in the meantime
+          }
+        }
+        return new Set(
+          [...modified.keys()].sort(
+            (a, b) => (modified.get(a) as number) - (modified.get(b) as number)
+          )
+        );
+      })();
+    }
+    return this.diskEntries;
+  }
+
+  private async deleteFile(name: string): Promise<void> {
+    try {
+      await fs.unlink(path.join(this.directory as string, name));
+      log.debug("Evicted cached response file", { file: name });
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== "ENOENT") {
+        log.warn("Cannot delete cached response", { file: name, error });
+      }
+    }
+  }
+
+  // Move an entry to the most recently used position, evicting the least recently used
+  private remember(entry: CacheEntry) {
+    this.entries.delete(entry.url);
+    this.entries.set(entry.url, entry);
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value as string;
+      this.entries.delete(oldest);
+    }
+  }
+
+  private entryFileName(url: string): string {
+    return `${createHash("sha256").update(url).digest("hex")}.json`;
+  }
+
+  private entryPath(url: string): string {
+    return path.join(this.directory as string, this.entryFileName(url));
+  }
+}
@@ -0,0 +1,230 @@
+import { getLogger } from "deproof-shared";
+import { NWSCache } from "./nws-cache.js";
+import {
+  AlertData,
+  AlertsResponse,
+  ForecastPeriod,
+  ForecastPeriodData,
+  ForecastResponse,
+  ObservationData,
+  ObservationResponse,
+  PointsResponse,
+  StationsResponse,
+  Units,
+  toAlert,
+  toForecastPeriod,
+  toObservation,
+} from "./weather-data.js";
+import { AlertArea, WeatherProvider } from "./weather-provider.js";
+
+const log = getLogger("NWS API");
+
+const NWS_API_BASE = "https://api.weather.gov";
+const USER_AGENT = "weather-app/1.0";
+
+// Where NWS API responses come from: the live API, or recorded fixtures
+export interface NWSSource {
+  // Responses were recorded in the past, so forecasts may lie entirely in the past
+  readonly recorded?: boolean;
+
+  /**
+   * GET a JSON resource of the NWS API
+   *
+   * @param signal - Abandons the request (rejecting with the signal's reason)
+   * @throws If there is no response for the URL
+   */
+  getJSON<T>(url: string, signal?: AbortSignal): Promise<T>;
+}
+
+// The live NWS API, through the response cache
+export class NWSHttpSource implements NWSSource {
+  constructor(private readonly cache: NWSCache) {}
+
+  getJSON<T>(url: string, signal?: AbortSignal): Promise<T> {
+    return this.cache.getJSON<T>(
+      url,
+      { "User-Agent": USER_AGENT, Accept: "application/geo+json" },
+      signal
+    );
+  }
+}
+
+/**
+ * Weather data from the US National Weather Service (US locations only)
+ */
+export class NWSProvider implements WeatherProvider {
+  readonly name: string;
+
+  constructor(private readonly source: NWSSource, name = "nws") {
+    this.name = name;
+  }
+
+  async getAlerts(area: AlertArea, signal?: AbortSignal): Promise<AlertData[]> {
+    let alertsUrl: string;
+    if ("state" in area) {
+      alertsUrl = `${NWS_API_BASE}/alerts?area=${area.state}`;
+    } else if ("zone" in area) {
+      alertsUrl = `${NWS_API_BASE}/alerts/active/zone/${area.zone}`;
+    } else {
+      alertsUrl = `${NWS_API_BASE}/alerts/active?point=${area.latitude.toFixed(
+        4
+      )},${area.longitude.toFixed(4)}`;
+    }
+    const alertsData = await this.request<AlertsResponse>(alertsUrl, signal);
+    if (!alertsData) {
+      throw new Error("Failed to retrieve alerts data");
+    }
+    return (alertsData.features || []).map(toAlert);
+  }
+
+  async getForecast(
+    latitude: number,
+    longitude: number,
+    units: Units,
+    signal?: AbortSignal
+  ): Promise<ForecastPeriodData[]> {
+    const periods = await this.getForecastPeriods(
+      latitude,
+      longitude,
+      "forecast",
+      units,
+      signal
+    );
+    return periods.map((period) => toForecastPeriod(period, units));
+  }
+
+  async getHourlyForecast(
+    latitude: number,
+    longitude: number,
+    hours: number,
+    units: Units,
+    signal?: AbortSignal
+  ): Promise<ForecastPeriodData[]> {
+    const periods = await this.getForecastPeriods(
+      latitude,
+      longitude,
+      "forecastHourly",
+      units,
+      signal
+    );
+    // A cached forecast may start with hours that have already passed
+    const now = Date.now();
+    const upcoming = periods.filter(
+      (period) =>
+        !period.startTime || Date.parse(period.startTime) + 60 * 60 * 1000 > now
+    );
+    // Recorded fixtures lie entirely in the past and are served as they are;
+    // a live forecast without upcoming hours yields none
+    const served =
+      upcoming.length === 0 && this.source.recorded ? periods : upcoming;
+    return served
+      .slice(0, hours)
+      .map((period) => toForecastPeriod(period, units));
+  }
+
+  async getObservation(
+    latitude: number,
+    longitude: number,
+    units: Units,
+    signal?: AbortSignal
+  ): Promise<ObservationData> {
+    const pointsData = await this.getPointData(latitude, longitude, signal);
+    const stationsUrl = pointsData.properties?.observationStations;
+    const stationsData = stationsUrl
+      ? await this.request<StationsResponse>(stationsUrl, signal)
+      : null;
+    // Stations are listed nearest first
+    const station = stationsData?.features?.[0]?.properties;
+    if (!station?.stationIdentifier) {
+      throw new Error(
+        `No observation station found near ${latitude}, ${longitude}`
+      );
+    }
+
+    const observationData = await this.request<ObservationResponse>(
+      `${NWS_API_BASE}/stations/${station.stationIdentifier}/observations/latest`,
+      signal
+    );
+    if (!observationData) {
+      throw new Error(
+        `Failed to retrieve the latest observation from station ${station.stationIdentifier}`
+      );
+    }
+    return toObservation(
+      { id: station.stationIdentifier, name: station.name ?? null },
+      observationData,
+      units
+    );
+  }
+
+  // Get the grid point data of a location, with the links to its forecasts and stations
+  private async getPointData(
+    latitude: number,
+    longitude: number,
+    signal?: AbortSignal
+  ): Promise<PointsResponse> {
+    const pointsUrl = `${NWS_API_BASE}/points/${latitude.toFixed(
+      4
+    )},${longitude.toFixed(4)}`;
+    const pointsData = await this.request<PointsResponse>(pointsUrl, signal);
+    if (!pointsData) {
+      throw new Error(
+        `Failed to retrieve grid point data for coordinates: ${latitude}, ${longitude}. This location may not be supported by the NWS API (only US locations are supported).`
+      );
+    }
+    return pointsData;
+  }
+
+  private async getForecastPeriods(
+    latitude: number,
+    longitude: number,
+    link: "forecast" | "forecastHourly",
+    units: Units,
+    signal?: AbortSignal
+  ): Promise<ForecastPeriod[]> {
+    const pointsData = await this.getPointData(latitude, longitude, signal);
+    const forecastLink = pointsData.properties?.[link];
+    if (!forecastLink) {
+      throw new Error(`Failed to get ${link} URL from grid point data`);
+    }
+    // The NWS converts forecasts to SI units itself
+    const forecastUrl = new URL(forecastLink);
+    if (units === "metric") {
+      forecastUrl.searchParams.set("units", "si");
+    }
+
+    const forecastData = await this.request<ForecastResponse>(
+      forecastUrl.href,
+      signal
+    );
+    if (!forecastData) {
+      throw new Error("Failed to retrieve forecast data");
+    }
+    const periods = forecastData.properties?.periods || [];
+    if (periods.length === 0) {
+      throw new Error("No forecast periods available");
+    }
+    return periods;
+  }
+
+  // Make an NWS API request; failures are logged and return null, an aborted call rejects
+  private async request<T>(
+    url: string,
+    signal: AbortSignal | undefined
+  ): Promise<T | null> {
+    log.debug("Request", { provider: this.name, url });
+    try {
+      return await this.source.getJSON<T>(url, signal);
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      if (error instanceof DOMException && error.name === "TimeoutError") {
+        log.warn("Request timed out", { provider: this.name, url });
+        return null;
+      }
+      log.warn("Request failed", { provider: this.name, url, error });
+      return null;
+    }
+  }
+}
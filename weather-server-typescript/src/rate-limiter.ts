@@ -0,0 +1,82 @@
+import { getLogger } from "deproof-shared";
+import { ErrorResponse } from "./secure-validator.js";
+import { UsageCharge, UsageLimit, UsageStore } from "./usage-store.js";
+
+const log = getLogger("RateLimiter");
+
+// Limits set for a principal and a tool; unset fields fall back to the defaults
+export interface UsageLimits {
+  // Replaces the default limit over all tools for this principal
+  signer?: Partial<UsageLimit>;
+  // Additional limit for this principal on this tool
+  tool?: Partial<UsageLimit>;
+}
+
+// Where per-signer and per-tool limits come from (the signer policy file)
+export interface UsageLimitSource {
+  usageLimits(principal: string, tool: string): UsageLimits;
+}
+
+function isLimited(limit: UsageLimit): boolean {
+  return limit.perMinute > 0 || limit.perDay > 0;
+}
+
+/**
+ * Rate limits and daily quotas, enforced once a call's DeProof is valid.
+ *
+ * Every principal has one counter over all tools (the default limit, unless the
+ * limit source sets another for it), plus one per tool the source limits.
+ * A call is only counted if every counter it is charged to allows it.
+ */
+export class RateLimiter {
+  constructor(
+    private readonly store: UsageStore,
+    private readonly defaultLimit: UsageLimit,
+    private readonly source?: UsageLimitSource
+  ) {}
+
+  /**
+   * Count a call, or return the -32015 error if it is over a limit
+   */
+  async consume(
+    principal: string,
+    tool: string
+  ): Promise<ErrorResponse | null> {
+    const limits = this.source?.usageLimits(principal, tool) ?? {};
+    const signer = principal.toLowerCase();
+    const signerLimit = { ...this.defaultLimit, ...limits.signer };
+    const toolLimit = { perMinute: 0, perDay: 0, ...limits.tool };
+
+    const charges: UsageCharge[] = [];
+    if (isLimited(signerLimit)) {
+      charges.push({ key: `signer:${signer}`, limit: signerLimit });
+    }
+    if (isLimited(toolLimit)) {
+      charges.push({ key: `tool:${signer}:${tool}`, limit: toolLimit });
+    }
+    if (charges.length === 0) {
+      return null;
+    }
+
+    const check = await this.store.consume(charges);
+    if (check.ok) {
+      return null;
+    }
+    const retryAfter = Math.ceil(check.retryAfterMs / 1000);
+    const scope = check.key.startsWith("tool:") ? ` for ${tool}` : "";
+    const reason =
+      check.limit === "rate"
+        ? `Rate limit${scope} exceeded`
+        : `Daily quota${scope} used up`;
+    log.info("Usage limit reached", { principal, reason });
+    return {
+      code: -32015,
+      message: `Usage limit reached: ${reason}, retry in ${retryAfter} s`,
+      data: {
+        limit: check.limit,
+        retryAfter,
+        retryAt: new Date(Date.now() + check.retryAfterMs).toISOString(),
+      },
+    };
+  }
+}
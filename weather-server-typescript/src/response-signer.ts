@@ -0,0 +1,90 @@
+import { ethers } from "ethers";
+import {
+  RECEIPT_VERSION,
+  DeProofReceipt,
+  UnsignedReceipt,
+  ReceiptedResult,
+  receiptSigningPayload,
+  resultHashPayload,
+  getLogger,
+} from "deproof-shared";
+
+const log = getLogger("ResponseSigner");
+
+// What a receipt is bound to besides the result itself
+export interface ReceiptBinding {
+  audience: string;
+  tool: string;
+  requestDigest: string | null;
+}
+
+/**
+ * Signs tool results with the server's own key
+ */
+export class ResponseSigner {
+  private readonly wallet: ethers.Wallet;
+
+  constructor(wallet: ethers.Wallet) {
+    this.wallet = wallet;
+  }
+
+  /**
+   * Load the key from DEPROOF_SERVER_PRIVATE_KEY, or create a throwaway key
+   * (clients cannot pin it, since it changes on every start)
+   */
+  static fromEnvironment(): ResponseSigner {
+    const privateKey = process.env.DEPROOF_SERVER_PRIVATE_KEY;
+    if (privateKey) {
+      return new ResponseSigner(new ethers.Wallet(privateKey));
+    }
+    const signer = new ResponseSigner(ethers.Wallet.createRandom());
+    log.warn(
+      "DEPROOF_SERVER_PRIVATE_KEY is not set, signing receipts with a temporary key",
+      { address: signer.address }
+    );
+    return signer;
+  }
+
+  get address(): string {
+    return this.wallet.address;
+  }
+
+  /**
+   * Sign a receipt for a tool result
+   *
+   * @param result - The result exactly as sent to the client, without its receipt
+   * @param binding - The server, tool and request the result answers
+   */
+  async sign(
+    result: ReceiptedResult,
+    binding: ReceiptBinding
+  ): Promise<DeProofReceipt> {
+    const unsigned: UnsignedReceipt = {
+      version: RECEIPT_VERSION,
+      signerAddress: this.wallet.address,
+      audience: binding.audience,
+      tool: binding.tool,
+      requestDigest: binding.requestDigest,
+      resultHash: ethers.utils
+        .keccak256(Buffer.from(resultHashPayload(result)))
+        .slice(2),
+      timestamp: new Date().toISOString(),
+    };
+    const signature = await this.signDigest(
+      ethers.utils.keccak256(Buffer.from(receiptSigningPayload(unsigned)))
+    );
+    return { ...unsigned, signature };
+  }
+
+  /**
+   * Sign a 32-byte hash with EIP-191, as receipts are (also used for audit log heads)
+   *
+   * @returns The signature as hex without the 0x prefix
+   */
+  async signDigest(digest: string): Promise<string> {
+    const signature = await this.wallet.signMessage(
+      ethers.utils.arrayify(digest)
+    );
+    return signature.slice(2);
+  }
+}
@@ -1,13 +1,108 @@
 import { ethers } from "ethers";
-
-// DeProof interface definition
+import {
+  canonicalize,
+  CanonicalizationError,
+  DELEGATION_VERSION,
+  DeProofDelegation,
+  DEPROOF_DELEGATION_TYPES,
+  delegationMessage,
+  getLogger,
+} from "deproof-shared";
+import {
+  checkNonce as checkWindowNonce,
+  checkNonceWindowSize,
+  DEFAULT_NONCE_WINDOW,
+  EMPTY_NONCE_WINDOW,
+  markNonceUsed as markWindowNonceUsed,
+  NonceCheck,
+  NonceWindowState,
+} from "./nonce-window.js";
+
+const log = getLogger("DeProof");
+const nonceLog = getLogger("NonceStore");
+
+// Current DeProof format version (version 1 proofs carried no tool/method/audience binding)
+export const DEPROOF_VERSION = 2;
+
+// Signing scheme: "eip191" signs the raw digest (personal_sign),
+// "eip712" signs structured typed data that wallets can display
+export type DeProofScheme = "eip191" | "eip712";
+
+// EIP-712 domain and types for the "eip712" scheme (must match the client)
+export const DEPROOF_EIP712_DOMAIN = {
+  name: "DeProof",
+  version: String(DEPROOF_VERSION),
+};
+
+export const DEPROOF_EIP712_TYPES = {
+  DeProof: [
+    { name: "signer", type: "address" },
+    { name: "audience", type: "string" },
+    { name: "tool", type: "string" },
+    { name: "method", type: "string" },
+    { name: "session", type: "string" },
+    { name: "nonce", type: "uint256" },
+    { name: "timestamp", type: "string" },
+    { name: "paramsHash", type: "bytes32" },
+  ],
+};
+
+// DeProof interface definition (binding fields are absent in version 1 proofs,
+// a missing scheme means "eip191")
 export interface DeProof {
+  version?: number;
+  scheme?: string;
+  tool?: string;
+  method?: string;
+  audience?: string;
   signerAddress: string;
   nonce: number;
   session: string;
   timestamp: string;
   digest: string;
   signature: string;
+  // Certificate from the master wallet when signerAddress is a delegated session key
+  delegation?: DeProofDelegation;
+}
+
+/**
+ * The data whose canonical JSON an "eip191" proof's digest is the keccak256 of
+ * (version 1 proofs did not sign the binding)
+ *
+ * @param params - The tool arguments without _deProof
+ */
+export function eip191SigningData(
+  deProof: Pick<
+    DeProof,
+    | "version"
+    | "tool"
+    | "method"
+    | "audience"
+    | "nonce"
+    | "session"
+    | "timestamp"
+  >,
+  params: unknown
+): Record<string, unknown> {
+  const version = deProof.version ?? 1;
+  if (version === 1) {
+    return {
+      params,
+      nonce: deProof.nonce,
+      session: deProof.session,
+      timestamp: deProof.timestamp,
+    };
+  }
+  return {
+    version,
+    tool: deProof.tool,
+    method: deProof.method,
+    audience: deProof.audience,
+    params,
+    nonce: deProof.nonce,
+    session: deProof.session,
+    timestamp: deProof.timestamp,
+  };
 }
 
 // Request type for parameters containing DeProof
@@ -19,76 +114,158 @@ export interface RequestWithDeProof {
   [key: string]: any;
 }
 
-// Error response type
+// What the server expects a proof to be bound to
+export interface ExpectedBinding {
+  tool: string;
+  method: string;
+  audience: string;
+  // Accept unbound version 1 proofs from old clients (weakens replay protection)
+  acceptLegacyProofs?: boolean;
+}
+
+// Error response type. Recoverable errors carry data for the client:
+// -32001 { serverTime }, -32003 { expectedNonce, reason }, -32013 { reason }, -32014 { reason }
 export interface ErrorResponse {
   code: number;
   message: string;
   data?: any;
 }
 
-// Nonce store interface
+// Authorization hook, consulted once the signature has been verified
+export interface SignerAuthorizer {
+  /**
+   * Return null if the signer may call the tool, otherwise the error to send back
+   */
+  authorize(signerAddress: string, tool: string): ErrorResponse | null;
+}
+
+// Session hook, consulted once the principal is authenticated and authorized
+export interface SessionValidator {
+  /**
+   * Return null if the principal may use the session, otherwise the error to
+   * send back (changes nothing, the proof may still be rejected)
+   */
+  checkSession(
+    session: string,
+    principal: string
+  ): Promise<ErrorResponse | null>;
+  /**
+   * Record an accepted proof: open the session on first use and extend its
+   * idle expiry. Return null, or the error to send back if the session can no
+   * longer be used
+   */
+  useSession(session: string, principal: string): Promise<ErrorResponse | null>;
+}
+
+// Why a delegation certificate was rejected; "expired" and "budget" are fixed by a new certificate
+export type DelegationFailure =
+  | "format"
+  | "signature"
+  | "binding"
+  | "scope"
+  | "expired"
+  | "budget";
+
+/**
+ * The address a validated call is attributed to: the master wallet for
+ * delegated session keys, otherwise the signer itself
+ */
+export function deProofPrincipal(deProof: DeProof): string {
+  return deProof.delegation?.master ?? deProof.signerAddress;
+}
+
+// Nonce store interface. Each signer/session has a sliding window of nonces
+// (see nonce-window.ts): a nonce is accepted once, in any order within the window.
 export interface NonceStore {
   /**
-   * Get the current expected nonce for the specified signer and session
+   * Get the next nonce above every nonce used by the signer in the session
    * For new sessions/signers, this should typically return 0
    */
   getExpectedNonce(signerAddress: string, session: string): Promise<number>;
 
   /**
-   * After successfully validating the current nonce, set the next expected nonce
-   * This effectively increments the current nonce by 1. This operation must be atomic.
+   * Check whether a nonce is unused and within the window, without using it
+   */
+  checkNonce(
+    signerAddress: string,
+    session: string,
+    nonce: number
+  ): Promise<NonceCheck>;
+
+  /**
+   * Atomically check a nonce and mark it used. Fails (and changes nothing) if the
+   * nonce can no longer be used, e.g. because a concurrent request with the same
+   * nonce was accepted first.
    */
-  incrementAndSetNonce(
+  markNonceUsed(
     signerAddress: string,
     session: string,
-    validatedNonce: number
-  ): Promise<void>;
+    nonce: number
+  ): Promise<NonceCheck>;
 }
 
 // In-memory Nonce store implementation (production environments should use persistent storage)
 export class InMemoryNonceStore implements NonceStore {
-  private store: Record<string, Record<string, number>> = {}; // Key: signerAddress -> Key: session -> Value: nextExpectedNonce
+  private store: Record<string, Record<string, NonceWindowState>> = {}; // Key: signerAddress -> Key: session
+  private readonly windowSize: number;
+
+  constructor(windowSize: number = DEFAULT_NONCE_WINDOW) {
+    this.windowSize = checkNonceWindowSize(windowSize);
+  }
 
   async getExpectedNonce(
     signerAddress: string,
     session: string
   ): Promise<number> {
-    console.log(
-      `[NonceStore] Getting nonce: ${signerAddress} / ${session.substring(
-        0,
-        8
-      )}`
-    );
-    if (
-      this.store[signerAddress] &&
-      this.store[signerAddress][session] !== undefined
-    ) {
-      console.log(`[NonceStore] Found: ${this.store[signerAddress][session]}`);
-      return this.store[signerAddress][session];
-    }
-    console.log(`[NonceStore] Not found, returning 0`);
-    return 0; // Default expected nonce for new sessions/signers
+    const state = this.store[signerAddress]?.[session];
+    return state ? state.nextNonce : 0; // Default expected nonce for new sessions/signers
   }
 
-  async incrementAndSetNonce(
+  async checkNonce(
     signerAddress: string,
     session: string,
-    validatedNonce: number
-  ): Promise<void> {
-    console.log(
-      `[NonceStore] Incrementing nonce: ${signerAddress} / ${session.substring(
-        0,
-        8
-      )} from ${validatedNonce}`
+    nonce: number
+  ): Promise<NonceCheck> {
+    return checkWindowNonce(
+      this.getState(signerAddress, session),
+      nonce,
+      this.windowSize
     );
+  }
+
+  async markNonceUsed(
+    signerAddress: string,
+    session: string,
+    nonce: number
+  ): Promise<NonceCheck> {
+    // No await between the check and the write, so this is atomic on the event loop
+    const state = this.getState(signerAddress, session);
+    const check = checkWindowNonce(state, nonce, this.windowSize);
+    if (!check.ok) {
+      nonceLog.info("Nonce rejected", {
+        nonce,
+        reason: check.reason,
+        expectedNonce: check.expectedNonce,
+      });
+      return check;
+    }
     if (!this.store[signerAddress]) {
       this.store[signerAddress] = {};
     }
-    // The validated nonce is the received and expected nonce. The next expected nonce is validatedNonce + 1.
-    this.store[signerAddress][session] = validatedNonce + 1;
-    console.log(
-      `[NonceStore] Next expected nonce set to: ${this.store[signerAddress][session]}`
+    this.store[signerAddress][session] = markWindowNonceUsed(
+      state,
+      nonce,
+      this.windowSize
     );
+    nonceLog.debug("Nonce used", {
+      nonce,
+      nextNonce: this.store[signerAddress][session].nextNonce,
+    });
+    return check;
+  }
+
+  private getState(signerAddress: string, session: string): NonceWindowState {
+    return this.store[signerAddress]?.[session] ?? EMPTY_NONCE_WINDOW;
   }
 }
 
@@ -98,10 +275,12 @@ export class InMemoryNonceStore implements NonceStore {
 export async function validateDeProof(
   request: RequestWithDeProof,
   nonceStore: NonceStore,
+  expected: ExpectedBinding,
+  authorizer?: SignerAuthorizer,
+  sessions?: SessionValidator,
   timeoutMs: number = 3000 // Default timeout is 3 seconds
 ): Promise<ErrorResponse | null> {
   const startTime = Date.now();
-  console.log(`\n===== Starting DeProof validation =====`);
 
   try {
     // 1. Ensure the request contains DeProof
@@ -109,21 +288,21 @@ export async function validateDeProof(
     const deProof = params._deProof;
 
     if (!deProof) {
-      console.error("Error: No _deProof object in the request");
+      log.warn("Rejected: no _deProof object", { tool: expected.tool });
       return {
         code: -32602,
         message: "Invalid request: Missing _deProof object",
       };
     }
 
-    console.log(
-      `Received DeProof: Signer=${deProof.signerAddress.substring(
-        0,
-        8
-      )}... Session=${deProof.session.substring(0, 8)}... Nonce=${
-        deProof.nonce
-      }`
-    );
+    // Identifies the proof in every entry logged for it
+    const proofFields = {
+      tool: expected.tool,
+      signer: deProof.signerAddress,
+      session: deProof.session.substring(0, 8),
+      nonce: deProof.nonce,
+    };
+    log.debug("Validating DeProof", proofFields);
 
     // 2. Timestamp validation (allow 60 seconds tolerance)
     const TIME_TOLERANCE_SECONDS = 60;
@@ -132,96 +311,169 @@ export async function validateDeProof(
       const currentTimestamp = Date.now();
       const diffSeconds = Math.abs(currentTimestamp - requestTimestamp) / 1000;
 
-      console.log(
-        `Timestamp validation: Request=${
-          deProof.timestamp
-        }, Current=${new Date().toISOString()}, Difference=${diffSeconds.toFixed(
-          1
-        )}seconds`
-      );
-
       if (diffSeconds > TIME_TOLERANCE_SECONDS) {
-        console.error(`Error: Timestamp out of tolerance range`);
+        log.warn("Rejected: timestamp out of tolerance range", {
+          ...proofFields,
+          timestamp: deProof.timestamp,
+          differenceSeconds: Math.round(diffSeconds),
+        });
         return {
           code: -32001,
           message: `Timestamp validation failed: Difference ${diffSeconds.toFixed(
             0
           )}seconds, allowed ${TIME_TOLERANCE_SECONDS}seconds`,
+          data: { serverTime: new Date().toISOString() },
         };
       }
     } catch (error) {
-      console.error(`Error: Invalid timestamp format`, error);
+      log.warn("Rejected: invalid timestamp format", {
+        ...proofFields,
+        error,
+      });
       return {
         code: -32002,
         message: `Timestamp validation failed: Invalid format`,
       };
     }
 
-    // 3. Nonce validation
+    // 3. Proof version, scheme and binding validation
+    const proofVersion = deProof.version ?? 1;
+    const scheme = deProof.scheme ?? "eip191";
+    if (scheme !== "eip191" && scheme !== "eip712") {
+      log.warn("Rejected: unsupported signing scheme", {
+        ...proofFields,
+        scheme,
+      });
+      return {
+        code: -32009,
+        message: `Unsupported DeProof scheme: ${scheme}`,
+      };
+    }
+    if (scheme === "eip712" && proofVersion === 1) {
+      log.warn(
+        "Rejected: EIP-712 scheme requires a version 2 proof",
+        proofFields
+      );
+      return {
+        code: -32009,
+        message: `Unsupported DeProof: scheme eip712 requires version ${DEPROOF_VERSION}`,
+      };
+    }
+    if (proofVersion === 1) {
+      if (!expected.acceptLegacyProofs) {
+        log.warn("Rejected: legacy version 1 proof", proofFields);
+        return {
+          code: -32009,
+          message: `Unsupported DeProof version 1: Please upgrade the client to DeProof version ${DEPROOF_VERSION}`,
+        };
+      }
+      log.warn(
+        "Accepting legacy version 1 proof without tool/audience binding",
+        proofFields
+      );
+    } else if (proofVersion !== DEPROOF_VERSION) {
+      log.warn("Rejected: unsupported proof version", {
+        ...proofFields,
+        version: proofVersion,
+      });
+      return {
+        code: -32009,
+        message: `Unsupported DeProof version ${proofVersion}, expected ${DEPROOF_VERSION}`,
+      };
+    } else {
+      const mismatches = (["tool", "method", "audience"] as const).filter(
+        (field) => deProof[field] !== expected[field]
+      );
+      if (mismatches.length > 0) {
+        log.warn("Rejected: binding mismatch", {
+          ...proofFields,
+          mismatches: mismatches.map((field) => ({
+            field,
+            received: deProof[field],
+            expected: expected[field],
+          })),
+        });
+        return {
+          code: -32010,
+          message: `Binding validation failed: Proof is not valid for this ${mismatches.join(
+            "/"
+          )}`,
+        };
+      }
+    }
+
+    // 4. Nonce validation
     try {
-      const expectedNonce = await nonceStore.getExpectedNonce(
+      const nonceCheck = await nonceStore.checkNonce(
         deProof.signerAddress,
-        deProof.session
+        deProof.session,
+        deProof.nonce
       );
 
-      if (deProof.nonce !== expectedNonce) {
-        console.error(
-          `Error: Nonce mismatch - Received=${deProof.nonce}, Expected=${expectedNonce}`
-        );
-        return {
-          code: -32003,
-          message: `Nonce validation failed: Received ${deProof.nonce}, Expected ${expectedNonce}`,
-        };
+      if (!nonceCheck.ok) {
+        log.warn("Rejected: nonce cannot be used", {
+          ...proofFields,
+          reason: nonceCheck.reason,
+          expectedNonce: nonceCheck.expectedNonce,
+        });
+        return nonceError(deProof.nonce, nonceCheck);
       }
-      console.log(`Nonce validation successful: ${deProof.nonce}`);
     } catch (error) {
-      console.error(`Error: Nonce validation exception`, error);
+      log.error("Nonce store unavailable", { ...proofFields, error });
       return {
         code: -32000,
         message: `Server error: Nonce store unavailable`,
       };
     }
 
-    // 4. Reconstruct original data and calculate digest
+    // 5. Reconstruct original data and calculate digest
     const actualParams = { ...params };
     delete actualParams._deProof;
 
     // Construct data to be validated
-    const dataToVerify = {
-      params: actualParams,
-      nonce: deProof.nonce,
-      session: deProof.session,
-      timestamp: deProof.timestamp,
-    };
+    const dataToVerify = eip191SigningData(deProof, actualParams);
 
-    // Serialize data
-    function sortObjectKeys(obj: any): any {
-      if (typeof obj !== "object" || obj === null) {
-        return obj;
-      }
-      if (Array.isArray(obj)) {
-        return obj.map(sortObjectKeys);
+    // Calculate digest: keccak256 of the canonical data for "eip191",
+    // the EIP-712 typed data hash for "eip712"
+    let calculatedDigest: string;
+    let typedMessage: Record<string, any> | null = null;
+    try {
+      if (scheme === "eip712") {
+        typedMessage = {
+          signer: deProof.signerAddress,
+          audience: deProof.audience,
+          tool: deProof.tool,
+          method: deProof.method,
+          session: deProof.session,
+          nonce: deProof.nonce,
+          timestamp: deProof.timestamp,
+          paramsHash: ethers.utils.keccak256(
+            Buffer.from(canonicalize(actualParams))
+          ),
+        };
+        calculatedDigest = ethers.utils._TypedDataEncoder.hash(
+          DEPROOF_EIP712_DOMAIN,
+          DEPROOF_EIP712_TYPES,
+          typedMessage
+        );
+      } else {
+        const serializedData = canonicalize(dataToVerify);
+        log.debug("Serialized data", {
+          ...proofFields,
+          serialized: serializedData,
+        });
+        calculatedDigest = ethers.utils.keccak256(Buffer.from(serializedData));
       }
-      return Object.keys(obj)
-        .sort()
-        .reduce((acc, key) => {
-          acc[key] = sortObjectKeys(obj[key]);
-          return acc;
-        }, {} as any);
-    }
-
-    function canonicalStringify(value: any): string {
-      const sortedValue = sortObjectKeys(value);
-      return JSON.stringify(sortedValue);
+    } catch (error) {
+      log.warn("Rejected: cannot compute digest", { ...proofFields, error });
+      return {
+        code: -32005,
+        message:
+          error instanceof CanonicalizationError
+            ? `Digest validation failed: ${error.message}`
+            : `Digest validation failed: Invalid EIP-712 message`,
+      };
     }
-
-    const serializedData = canonicalStringify(dataToVerify);
-    console.log(`Serialized data: ${serializedData.substring(0, 100)}...`);
-
-    // Calculate digest
-    const calculatedDigest = ethers.utils.keccak256(
-      Buffer.from(serializedData)
-    );
     const calculatedDigestWithoutPrefix = calculatedDigest.startsWith("0x")
       ? calculatedDigest.slice(2)
       : calculatedDigest;
@@ -231,22 +483,19 @@ export async function validateDeProof(
       ? deProof.digest.slice(2)
       : deProof.digest;
 
-    console.log(
-      `Digest validation: Client=${clientDigest.substring(
-        0,
-        10
-      )}..., Server=${calculatedDigestWithoutPrefix.substring(0, 10)}...`
-    );
-
     if (calculatedDigestWithoutPrefix !== clientDigest) {
-      console.error(`Error: Digest mismatch`);
+      log.warn("Rejected: digest mismatch", {
+        ...proofFields,
+        clientDigest,
+        serverDigest: calculatedDigestWithoutPrefix,
+      });
       return {
         code: -32005,
         message: `Digest validation failed: Data may have been tampered with`,
       };
     }
 
-    // 5. Validate signature
+    // 6. Validate signature
     try {
       // Client sends digest and signature without 0x prefix
       // Add prefix for ethers library to handle correctly
@@ -260,31 +509,30 @@ export async function validateDeProof(
 
       const messageBytesThatWereSigned = Buffer.from(clientDigest, "hex");
 
-      console.log(
-        `Signature validation: Digest length=${messageBytesThatWereSigned.length}, Signature length=${signatureHex.length}`
-      );
-
       // Validate signature
-      const recoveredAddress = ethers.utils.verifyMessage(
-        messageBytesThatWereSigned,
-        signatureHex
-      );
-
-      console.log(
-        `Signature validation: Recovered address=${recoveredAddress}, Declared signer=${deProof.signerAddress}`
-      );
+      const recoveredAddress = typedMessage
+        ? ethers.utils.verifyTypedData(
+            DEPROOF_EIP712_DOMAIN,
+            DEPROOF_EIP712_TYPES,
+            typedMessage,
+            signatureHex
+          )
+        : ethers.utils.verifyMessage(messageBytesThatWereSigned, signatureHex);
 
       if (
         recoveredAddress.toLowerCase() !== deProof.signerAddress.toLowerCase()
       ) {
-        console.error(`Error: Signature validation failed - Address mismatch`);
+        log.warn("Rejected: signature from another address", {
+          ...proofFields,
+          recoveredAddress,
+        });
         return {
           code: -32006,
           message: `Signature validation failed: Address mismatch`,
         };
       }
     } catch (error) {
-      console.error(`Error: Signature validation exception`, error);
+      log.warn("Rejected: invalid signature", { ...proofFields, error });
       return {
         code: -32007,
         message: `Signature validation failed: ${
@@ -293,33 +541,101 @@ export async function validateDeProof(
       };
     }
 
-    // 6. Increment Nonce
+    // 6b. Delegation: the session key must be certified by the master for this call
+    if (deProof.delegation) {
+      if (proofVersion === 1) {
+        return {
+          code: -32009,
+          message: `Unsupported DeProof: delegation requires version ${DEPROOF_VERSION}`,
+        };
+      }
+      const delegationError = validateDelegation(
+        deProof.delegation,
+        deProof,
+        expected
+      );
+      if (delegationError) {
+        log.warn("Rejected: invalid delegation", {
+          ...proofFields,
+          reason: delegationError.message,
+        });
+        return delegationError;
+      }
+      log.debug("Delegation valid", {
+        ...proofFields,
+        master: deProof.delegation.master,
+      });
+    }
+    const principal = deProofPrincipal(deProof);
+
+    // 7. Authorization (only meaningful once the signer is authenticated)
+    if (authorizer) {
+      const authorizationError = authorizer.authorize(principal, expected.tool);
+      if (authorizationError) {
+        log.warn("Rejected: not authorized", {
+          ...proofFields,
+          principal,
+          reason: authorizationError.message,
+        });
+        return authorizationError;
+      }
+    }
+
+    // 7b. Session: must have been issued by the server and not be expired or closed
+    if (sessions) {
+      const sessionError = await applySession(
+        () => sessions.checkSession(deProof.session, principal),
+        proofFields
+      );
+      if (sessionError) {
+        return sessionError;
+      }
+    }
+
+    // 8. Mark the nonce used (atomically, so two concurrent requests with the same nonce cannot both pass)
     try {
-      await nonceStore.incrementAndSetNonce(
+      const nonceCheck = await nonceStore.markNonceUsed(
         deProof.signerAddress,
         deProof.session,
         deProof.nonce
       );
-      console.log(
-        `Successfully incremented Nonce: ${deProof.nonce} -> ${
-          deProof.nonce + 1
-        }`
-      );
+      if (!nonceCheck.ok) {
+        log.warn(
+          "Rejected: nonce consumed by a concurrent request",
+          proofFields
+        );
+        return nonceError(deProof.nonce, nonceCheck);
+      }
     } catch (error) {
-      console.error(`Critical error: Failed to update Nonce`, error);
+      log.error("Failed to update the nonce store", { ...proofFields, error });
       return {
         code: -32000,
         message: `Server error: Unable to update Nonce store`,
       };
     }
 
-    const validationTime = Date.now() - startTime;
-    console.log(
-      `DeProof validation successful! Time taken ${validationTime}ms`
-    );
+    // 9. Only now open or touch the session, so rejected proofs do not keep it alive
+    if (sessions) {
+      const sessionError = await applySession(
+        () => sessions.useSession(deProof.session, principal),
+        proofFields
+      );
+      if (sessionError) {
+        return sessionError;
+      }
+    }
+
+    log.info("DeProof valid", {
+      ...proofFields,
+      ...(deProof.delegation ? { principal } : {}),
+      durationMs: Date.now() - startTime,
+    });
     return null; // Validation passed, return null indicating no error
   } catch (error) {
-    console.error(`DeProof validation exception:`, error);
+    log.error("DeProof validation exception", {
+      tool: expected.tool,
+      error,
+    });
     return {
       code: -32000,
       message: `DeProof validation failed: ${
@@ -328,3 +644,127 @@ export async function validateDeProof(
     };
   }
 }
+
+/**
+ * Run a session hook, logging why the session was rejected
+ */
+async function applySession(
+  hook: () => Promise<ErrorResponse | null>,
+  proofFields: Record<string, unknown>
+): Promise<ErrorResponse | null> {
+  try {
+    const sessionError = await hook();
+    if (sessionError) {
+      log.warn("Rejected: session cannot be used", {
+        ...proofFields,
+        reason: sessionError.message,
+      });
+    }
+    return sessionError;
+  } catch (error) {
+    log.error("Session store unavailable", { ...proofFields, error });
+    return {
+      code: -32000,
+      message: `Server error: Session store unavailable`,
+    };
+  }
+}
+
+/**
+ * The -32003 error for a nonce that cannot be used
+ */
+function nonceError(
+  nonce: number,
+  check: Extract<NonceCheck, { ok: false }>
+): ErrorResponse {
+  const explanations = {
+    used: `Nonce ${nonce} has already been used`,
+    "too-old": `Nonce ${nonce} is below the nonce window`,
+    "too-far-ahead": `Nonce ${nonce} is beyond the nonce window`,
+  };
+  return {
+    code: -32003,
+    message: `Nonce validation failed: ${
+      explanations[check.reason]
+    } (next nonce ${check.expectedNonce})`,
+    data: { expectedNonce: check.expectedNonce, reason: check.reason },
+  };
+}
+
+/**
+ * Check a delegation certificate against the proof that carries it
+ * (the proof's own signature must already have been verified)
+ */
+function validateDelegation(
+  delegation: DeProofDelegation,
+  deProof: DeProof,
+  expected: ExpectedBinding
+): ErrorResponse | null {
+  const failure = (reason: DelegationFailure, message: string) => ({
+    code: -32013,
+    message: `Delegation validation failed: ${message}`,
+    data: { reason },
+  });
+
+  if (delegation.version !== DELEGATION_VERSION) {
+    return failure(
+      "format",
+      `Unsupported delegation version ${delegation.version}`
+    );
+  }
+  try {
+    const recoveredMaster = ethers.utils.verifyTypedData(
+      DEPROOF_EIP712_DOMAIN,
+      DEPROOF_DELEGATION_TYPES,
+      delegationMessage(delegation),
+      "0x" + delegation.signature
+    );
+    if (recoveredMaster.toLowerCase() !== delegation.master.toLowerCase()) {
+      return failure("signature", "Certificate is not signed by the master");
+    }
+  } catch (error) {
+    return failure(
+      "signature",
+      `Invalid certificate: ${
+        error instanceof Error ? error.message : String(error)
+      }`
+    );
+  }
+
+  if (
+    delegation.delegate.toLowerCase() !== deProof.signerAddress.toLowerCase()
+  ) {
+    return failure("binding", "Certificate is for another session key");
+  }
+  if (
+    delegation.audience !== expected.audience ||
+    delegation.session !== deProof.session
+  ) {
+    return failure("binding", "Certificate is for another server or session");
+  }
+  if (!delegation.tools.includes(expected.tool)) {
+    return failure("scope", `Tool ${expected.tool} is not delegated`);
+  }
+
+  const now = Date.now();
+  const issuedAt = Date.parse(delegation.issuedAt);
+  const expiresAt = Date.parse(delegation.expiresAt);
+  if (Number.isNaN(issuedAt) || Number.isNaN(expiresAt)) {
+    return failure("format", "Invalid certificate validity period");
+  }
+  // Same clock tolerance as proof timestamps
+  if (issuedAt - now > 60 * 1000) {
+    return failure("format", "Certificate is not valid yet");
+  }
+  if (now >= expiresAt) {
+    return failure("expired", `Certificate expired at ${delegation.expiresAt}`);
+  }
+  // Nonces are accepted once per session, so they count the calls made with the certificate
+  if (delegation.maxCalls > 0 && deProof.nonce >= delegation.maxCalls) {
+    return failure(
+      "budget",
+      `Call budget of ${delegation.maxCalls} is used up`
+    );
+  }
+  return null;
+}
@@ -0,0 +1,280 @@
+import { randomBytes } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { IssuedSession, SessionRejection, getLogger } from "deproof-shared";
+import { ErrorResponse, SessionValidator } from "./secure-validator.js";
+import { writeFileAtomic } from "./atomic-file.js";
+
+const log = getLogger("SessionRegistry");
+
+// State of one opened session
+interface SessionRecord {
+  // Principal that opened the session
+  principal: string;
+  // Epoch milliseconds: the session's idle expiry
+  expiresAt: number;
+  closed: boolean;
+}
+
+// On-disk file layout
+interface SessionFile {
+  version: 1;
+  sessions: Record<string, SessionRecord>;
+}
+
+export interface SessionRegistryOptions {
+  // Keep sessions in this file so they survive restarts (in memory only if omitted)
+  filePath?: string;
+  /**
+   * Open sessions with no accepted request for this long expire.
+   * Must be well above the DeProof timestamp tolerance, like the nonce store's session TTL.
+   */
+  idleTtlMs?: number;
+  // Issued challenges must be opened within this time
+  challengeTtlMs?: number;
+}
+
+const DEFAULT_IDLE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MIN_IDLE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const DEFAULT_CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+// Expired and closed sessions are remembered this long, to report why they were rejected
+const RETENTION_MS = 60 * 60 * 1000; // 1 hour
+// Unanswered challenges are bounded, so the open-session tool cannot exhaust
+// memory; past the limit the oldest are dropped
+const MAX_PENDING_CHALLENGES = 10000;
+
+/**
+ * Sessions issued by the server (see deproof-shared/session.ts).
+ *
+ * A session starts as a random challenge. The first valid proof for it opens
+ * it for the proof's principal; afterwards only that principal may use it, until
+ * it is closed or has been idle for the TTL. Challenges are kept in memory only
+ * (a restart drops them, clients just ask again), so issuing one writes nothing.
+ * Operations are serialized through an in-process queue; with a file, every
+ * change to an opened session is written atomically. The file must not be
+ * shared by several server processes.
+ */
+export class SessionRegistry implements SessionValidator {
+  private readonly filePath: string | null;
+  private readonly idleTtlMs: number;
+  private readonly challengeTtlMs: number;
+  private store: SessionFile["sessions"] | null = null;
+  // Key: unanswered challenge -> Value: deadline (epoch ms); insertion order is age
+  private readonly challenges = new Map<string, number>();
+  private queue: Promise<unknown> = Promise.resolve();
+
+  constructor(options: SessionRegistryOptions = {}) {
+    this.filePath = options.filePath ? path.resolve(options.filePath) : null;
+    this.idleTtlMs = Math.max(
+      options.idleTtlMs ?? DEFAULT_IDLE_TTL_MS,
+      MIN_IDLE_TTL_MS
+    );
+    this.challengeTtlMs = options.challengeTtlMs ?? DEFAULT_CHALLENGE_TTL_MS;
+  }
+
+  /**
+   * Issue a new session challenge
+   */
+  async issueSession(): Promise<IssuedSession> {
+    return this.runExclusive(async () => {
+      this.pruneChallenges();
+      if (this.challenges.size >= MAX_PENDING_CHALLENGES) {
+        const oldest = this.challenges.keys().next().value as string;
+        this.challenges.delete(oldest);
+        log.debug(
+          "Too many unanswered session challenges, dropped the oldest",
+          {
+            session: oldest.substring(0, 8),
+          }
+        );
+      }
+      const session = randomBytes(32).toString("hex");
+      const expiresAt = Date.now() + this.challengeTtlMs;
+      this.challenges.set(session, expiresAt);
+      log.info("Issued session", { session: session.substring(0, 8) });
+      return { session, expiresAt: new Date(expiresAt).toISOString() };
+    });
+  }
+
+  async checkSession(
+    session: string,
+    principal: string
+  ): Promise<ErrorResponse | null> {
+    return this.runExclusive(async () =>
+      this.check(await this.load(), session, principal)
+    );
+  }
+
+  async useSession(
+    session: string,
+    principal: string
+  ): Promise<ErrorResponse | null> {
+    return this.runExclusive(async () => {
+      const store = await this.load();
+      const error = this.check(store, session, principal);
+      if (error) {
+        return error;
+      }
+      this.open(store, session, principal).expiresAt =
+        Date.now() + this.idleTtlMs;
+      await this.persist(store);
+      return null;
+    });
+  }
+
+  /**
+   * Close a session; only its principal may close it
+   */
+  async closeSession(
+    session: string,
+    principal: string
+  ): Promise<ErrorResponse | null> {
+    return this.runExclusive(async () => {
+      const store = await this.load();
+      const error = this.check(store, session, principal);
+      if (error) {
+        return error;
+      }
+      // Remembered as closed for the retention period
+      const record = this.open(store, session, principal);
+      record.closed = true;
+      record.expiresAt = Date.now();
+      await this.persist(store);
+      log.info("Session closed", { session: session.substring(0, 8) });
+      return null;
+    });
+  }
+
+  // Chain the operation after every previously queued one
+  private runExclusive<T>(operation: () => Promise<T>): Promise<T> {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => undefined);
+    return result;
+  }
+
+  private check(
+    store: SessionFile["sessions"],
+    session: string,
+    principal: string
+  ): ErrorResponse | null {
+    const reject = (reason: SessionRejection, message: string) => ({
+      code: -32014,
+      message: `Session validation failed: ${message}`,
+      data: { reason },
+    });
+    const challengeDeadline = this.challenges.get(session);
+    if (challengeDeadline !== undefined) {
+      // Challenges that were never answered are forgotten when they expire
+      return Date.now() > challengeDeadline
+        ? reject("unknown", "Session was not issued by this server")
+        : null;
+    }
+    const record = Object.hasOwn(store, session) ? store[session] : undefined;
+    if (!record) {
+      return reject("unknown", "Session was not issued by this server");
+    }
+    if (record.principal !== principal.toLowerCase()) {
+      return reject("unknown", "Session was opened by another signer");
+    }
+    if (record.closed) {
+      return reject("closed", "Session has been closed");
+    }
+    if (Date.now() > record.expiresAt) {
+      return reject(
+        "expired",
+        `Session expired at ${new Date(record.expiresAt).toISOString()}`
+      );
+    }
+    return null;
+  }
+
+  // The session's record, opening it for the principal if it is still a challenge
+  private open(
+    store: SessionFile["sessions"],
+    session: string,
+    principal: string
+  ): SessionRecord {
+    if (this.challenges.delete(session)) {
+      store[session] = {
+        principal: principal.toLowerCase(),
+        expiresAt: Date.now() + this.idleTtlMs,
+        closed: false,
+      };
+      log.info("Session opened", {
+        session: session.substring(0, 8),
+        principal,
+      });
+    }
+    return store[session];
+  }
+
+  private pruneChallenges() {
+    const now = Date.now();
+    // Deadlines grow with insertion order, so expired challenges come first
+    for (const [session, deadline] of this.challenges) {
+      if (now <= deadline) {
+        break;
+      }
+      this.challenges.delete(session);
+    }
+  }
+
+  private prune(store: SessionFile["sessions"]): number {
+    const now = Date.now();
+    let removed = 0;
+    for (const [session, record] of Object.entries(store)) {
+      // Challenges written by older versions are dropped
+      const retainUntil =
+        record.principal === null ? 0 : record.expiresAt + RETENTION_MS;
+      if (now > retainUntil) {
+        delete store[session];
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  private async load(): Promise<SessionFile["sessions"]> {
+    if (this.store) {
+      return this.store;
+    }
+    if (!this.filePath) {
+      this.store = {};
+      return this.store;
+    }
+
+    let raw: string;
+    try {
+      raw = await fs.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+        log.info("No session file, starting empty", { file: this.filePath });
+        this.store = {};
+        return this.store;
+      }
+      throw error;
+    }
+
+    // A corrupt file is fatal, like the nonce file
+    const parsed = JSON.parse(raw) as SessionFile;
+    if (parsed.version !== 1 || typeof parsed.sessions !== "object") {
+      throw new Error(`Unsupported session file format in ${this.filePath}`);
+    }
+    this.store = parsed.sessions;
+    const removed = this.prune(this.store);
+    log.info("Loaded sessions", {
+      file: this.filePath,
+      expiredSessionsRemoved: removed,
+    });
+    return this.store;
+  }
+
+  private async persist(store: SessionFile["sessions"]): Promise<void> {
+    if (!this.filePath) {
+      return;
+    }
+    this.prune(store);
+    const data: SessionFile = { version: 1, sessions: store };
+    await writeFileAtomic(this.filePath, JSON.stringify(data));
+  }
+}
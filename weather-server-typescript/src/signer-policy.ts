@@ -0,0 +1,201 @@
+import { promises as fs, watchFile, unwatchFile } from "fs";
+import path from "path";
+import { getLogger } from "deproof-shared";
+import { ErrorResponse, SignerAuthorizer } from "./secure-validator.js";
+import { UsageLimits, UsageLimitSource } from "./rate-limiter.js";
+import { UsageLimit } from "./usage-store.js";
+
+const log = getLogger("SignerPolicy");
+
+/**
+ * Policy file format (addresses are compared case-insensitively):
+ * {
+ *   "allowedSigners": ["0x..."],          // Omit to allow any signer that is not revoked
+ *   "revokedSigners": ["0x..."],
+ *   "toolPermissions": {                  // Tools not listed here are open to all allowed signers
+ *     "get-forecast": ["0x..."]
+ *   },
+ *   "rateLimits": {                       // perMinute / perDay, 0 for no limit
+ *     "signers": { "0x...": { "perMinute": 120 } },  // Instead of the default limit
+ *     "tools": { "get-forecast": { "perDay": 500 } } // Per signer, on top of it
+ *   }
+ * }
+ */
+export interface SignerPolicyConfig {
+  allowedSigners?: string[];
+  revokedSigners?: string[];
+  toolPermissions?: Record<string, string[]>;
+  rateLimits?: {
+    signers?: Record<string, Partial<UsageLimit>>;
+    tools?: Record<string, Partial<UsageLimit>>;
+  };
+}
+
+// Normalized policy with lowercase address sets
+interface CompiledPolicy {
+  allowedSigners: Set<string> | null;
+  revokedSigners: Set<string>;
+  toolPermissions: Map<string, Set<string>>;
+  signerLimits: Map<string, Partial<UsageLimit>>;
+  toolLimits: Map<string, Partial<UsageLimit>>;
+}
+
+function toAddressSet(addresses: unknown, field: string): Set<string> {
+  if (
+    !Array.isArray(addresses) ||
+    addresses.some((a) => typeof a !== "string")
+  ) {
+    throw new Error(`Policy field ${field} must be an array of addresses`);
+  }
+  return new Set(addresses.map((address: string) => address.toLowerCase()));
+}
+
+function toUsageLimit(limit: unknown, field: string): Partial<UsageLimit> {
+  const result: Partial<UsageLimit> = {};
+  for (const key of ["perMinute", "perDay"] as const) {
+    const value = (limit as Record<string, unknown> | null)?.[key];
+    if (value === undefined) {
+      continue;
+    }
+    if (typeof value !== "number" || !(value >= 0)) {
+      throw new Error(`Policy field ${field}.${key} must be a number >= 0`);
+    }
+    result[key] = value;
+  }
+  return result;
+}
+
+function compilePolicy(config: SignerPolicyConfig): CompiledPolicy {
+  const toolPermissions = new Map<string, Set<string>>();
+  for (const [tool, signers] of Object.entries(config.toolPermissions ?? {})) {
+    toolPermissions.set(tool, toAddressSet(signers, `toolPermissions.${tool}`));
+  }
+  return {
+    allowedSigners:
+      config.allowedSigners === undefined
+        ? null
+        : toAddressSet(config.allowedSigners, "allowedSigners"),
+    revokedSigners: toAddressSet(config.revokedSigners ?? [], "revokedSigners"),
+    toolPermissions,
+    signerLimits: new Map(
+      Object.entries(config.rateLimits?.signers ?? {}).map(
+        ([signer, limit]) => [
+          signer.toLowerCase(),
+          toUsageLimit(limit, `rateLimits.signers.${signer}`),
+        ]
+      )
+    ),
+    toolLimits: new Map(
+      Object.entries(config.rateLimits?.tools ?? {}).map(([tool, limit]) => [
+        tool,
+        toUsageLimit(limit, `rateLimits.tools.${tool}`),
+      ])
+    ),
+  };
+}
+
+/**
+ * Signer allowlist, revocation list, per-tool permissions and rate limits loaded from a JSON file.
+ *
+ * The file is re-read when it changes or when the process receives SIGHUP. If a reload
+ * fails (e.g. invalid JSON while the file is being edited) the previous policy stays active.
+ */
+export class FileSignerPolicy implements SignerAuthorizer, UsageLimitSource {
+  private readonly filePath: string;
+  private policy: CompiledPolicy | null = null;
+  private readonly onSighup = () => {
+    this.reload().catch(() => undefined);
+  };
+
+  constructor(filePath: string) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  /**
+   * Load the policy and start watching for changes. Fails if the initial load fails.
+   */
+  async start(): Promise<void> {
+    const loaded = await this.reload();
+    if (!loaded) {
+      throw new Error(`Cannot load signer policy from ${this.filePath}`);
+    }
+    watchFile(this.filePath, { interval: 2000 }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.reload().catch(() => undefined);
+      }
+    });
+    process.on("SIGHUP", this.onSighup);
+  }
+
+  /**
+   * Stop watching the policy file
+   */
+  stop(): void {
+    unwatchFile(this.filePath);
+    process.off("SIGHUP", this.onSighup);
+  }
+
+  /**
+   * Re-read the policy file. Returns false and keeps the current policy on error.
+   */
+  async reload(): Promise<boolean> {
+    try {
+      const raw = await fs.readFile(this.filePath, "utf8");
+      this.policy = compilePolicy(JSON.parse(raw) as SignerPolicyConfig);
+      log.info("Loaded policy", {
+        file: this.filePath,
+        // null: any signer allowed
+        allowedSigners: this.policy.allowedSigners?.size ?? null,
+        revokedSigners: this.policy.revokedSigners.size,
+        restrictedTools: this.policy.toolPermissions.size,
+        rateLimits: this.policy.signerLimits.size + this.policy.toolLimits.size,
+      });
+      return true;
+    } catch (error) {
+      log.error("Failed to load policy, keeping previous policy", {
+        file: this.filePath,
+        error,
+      });
+      return false;
+    }
+  }
+
+  authorize(signerAddress: string, tool: string): ErrorResponse | null {
+    const policy = this.policy;
+    if (!policy) {
+      return {
+        code: -32000,
+        message: "Server error: Signer policy not loaded",
+      };
+    }
+
+    const signer = signerAddress.toLowerCase();
+    if (policy.revokedSigners.has(signer)) {
+      return {
+        code: -32012,
+        message: `Authorization failed: Signer ${signerAddress} has been revoked`,
+      };
+    }
+    if (policy.allowedSigners && !policy.allowedSigners.has(signer)) {
+      return {
+        code: -32011,
+        message: `Authorization failed: Signer ${signerAddress} is not allowed`,
+      };
+    }
+    const toolSigners = policy.toolPermissions.get(tool);
+    if (toolSigners && !toolSigners.has(signer)) {
+      return {
+        code: -32011,
+        message: `Authorization failed: Signer ${signerAddress} may not call ${tool}`,
+      };
+    }
+    return null;
+  }
+
+  usageLimits(signerAddress: string, tool: string): UsageLimits {
+    return {
+      signer: this.policy?.signerLimits.get(signerAddress.toLowerCase()),
+      tool: this.policy?.toolLimits.get(tool),
+    };
+  }
+}
@@ -0,0 +1,174 @@
+import {
+  UsageCharge,
+  UsageCheck,
+  UsageCounter,
+  applyCharges,
+  checkUsage,
+  consumeUsage,
+  isUsageCounterIdle,
+} from "./usage-store.js";
+
+/**
+ * Check the rate limit and quota accounting shared by the usage stores against
+ * fixed scenarios: bucket refill, UTC day rollover and calls charged to several
+ * counters at once
+ *
+ * Usage: npm run usage-conformance
+ */
+
+const MINUTE_MS = 60 * 1000;
+const NOON = Date.parse("2026-03-01T12:00:00.000Z");
+const MIDNIGHT = Date.parse("2026-03-02T00:00:00.000Z");
+
+const failures: string[] = [];
+let checks = 0;
+
+function expect(description: string, actual: unknown, expected: unknown) {
+  checks++;
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    failures.push(
+      `${description}: expected ${JSON.stringify(
+        expected
+      )}, got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+// Count calls on one counter at the given times, returning each check
+function run(
+  charge: UsageCharge,
+  times: number[],
+  counters: Record<string, UsageCounter> = {}
+): UsageCheck[] {
+  return times.map((now) => applyCharges(counters, [charge], now));
+}
+
+function rejected(
+  key: string,
+  limit: "rate" | "quota",
+  retryAfterMs: number
+): UsageCheck {
+  return { ok: false, key, limit, retryAfterMs };
+}
+
+function rateLimits() {
+  const charge = { key: "signer", limit: { perMinute: 2, perDay: 0 } };
+  expect(
+    "burst up to perMinute, then rejected until one call has drained",
+    run(charge, [NOON, NOON, NOON]),
+    [{ ok: true }, { ok: true }, rejected("signer", "rate", 30 * 1000)]
+  );
+
+  const counters: Record<string, UsageCounter> = {};
+  run(charge, [NOON, NOON], counters);
+  expect(
+    "half a minute refills one call",
+    run(charge, [NOON + 30 * 1000, NOON + 30 * 1000], counters),
+    [{ ok: true }, rejected("signer", "rate", 30 * 1000)]
+  );
+  expect(
+    "a minute refills the whole bucket",
+    run(charge, [NOON + 90 * 1000, NOON + 90 * 1000], counters),
+    [{ ok: true }, { ok: true }]
+  );
+
+  // A clock that goes back must not refill the bucket
+  const full = consumeUsage(
+    consumeUsage(undefined, charge, NOON),
+    charge,
+    NOON
+  );
+  expect(
+    "no refill when the clock goes back",
+    checkUsage(full, charge, NOON - MINUTE_MS),
+    rejected("signer", "rate", 30 * 1000)
+  );
+}
+
+function quotas() {
+  const charge = { key: "signer", limit: { perMinute: 0, perDay: 2 } };
+  const beforeMidnight = MIDNIGHT - 1000;
+  expect(
+    "perDay calls, then rejected until the next UTC day",
+    run(charge, [beforeMidnight, beforeMidnight, beforeMidnight]),
+    [{ ok: true }, { ok: true }, rejected("signer", "quota", 1000)]
+  );
+
+  const counters: Record<string, UsageCounter> = {};
+  run(charge, [beforeMidnight, beforeMidnight], counters);
+  expect(
+    "the quota starts over at midnight UTC",
+    run(charge, [MIDNIGHT, MIDNIGHT, MIDNIGHT], counters),
+    [
+      { ok: true },
+      { ok: true },
+      rejected("signer", "quota", 24 * 60 * MINUTE_MS),
+    ]
+  );
+  expect(
+    "a counter is idle once a minute and the day have passed",
+    [
+      isUsageCounterIdle(counters.signer, MIDNIGHT + MINUTE_MS - 1),
+      isUsageCounterIdle(counters.signer, MIDNIGHT + 24 * 60 * MINUTE_MS),
+    ],
+    [false, true]
+  );
+
+  const unlimited = { key: "signer", limit: { perMinute: 0, perDay: 0 } };
+  expect("a limit of 0 does not limit", run(unlimited, [NOON, NOON, NOON]), [
+    { ok: true },
+    { ok: true },
+    { ok: true },
+  ]);
+}
+
+function multipleCharges() {
+  const signer = { key: "signer", limit: { perMinute: 10, perDay: 0 } };
+  const tool = { key: "tool", limit: { perMinute: 1, perDay: 0 } };
+  const quota = { key: "quota", limit: { perMinute: 0, perDay: 1 } };
+
+  const counters: Record<string, UsageCounter> = {};
+  expect(
+    "a call that fits is charged on every counter",
+    [
+      applyCharges(counters, [signer, tool], NOON),
+      counters.signer?.dayCount,
+      counters.tool?.dayCount,
+    ],
+    [{ ok: true }, 1, 1]
+  );
+  expect(
+    "a call over one limit is charged on none",
+    [
+      applyCharges(counters, [signer, tool], NOON),
+      counters.signer.dayCount,
+      counters.tool.dayCount,
+    ],
+    [rejected("tool", "rate", MINUTE_MS), 1, 1]
+  );
+
+  const both: Record<string, UsageCounter> = {};
+  applyCharges(both, [tool, quota], NOON);
+  expect(
+    "the rejection that lasts longest is returned",
+    applyCharges(both, [tool, quota], NOON),
+    rejected("quota", "quota", 12 * 60 * MINUTE_MS)
+  );
+}
+
+function main() {
+  rateLimits();
+  quotas();
+  multipleCharges();
+
+  if (failures.length > 0) {
+    console.error(
+      `Usage conformance check failed (${failures.length}/${checks}):`
+    );
+    failures.forEach((failure) => console.error(`  - ${failure}`));
+    process.exit(1);
+  }
+  console.log(`All ${checks} usage conformance checks passed`);
+}
+
+main();
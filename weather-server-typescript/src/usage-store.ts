@@ -0,0 +1,175 @@
+// Call limits of one counter; 0 means no limit
+export interface UsageLimit {
+  // Token bucket: bursts of up to perMinute calls, refilled at perMinute calls per minute
+  perMinute: number;
+  // Calls per UTC day
+  perDay: number;
+}
+
+// State of one counter, as kept by a UsageStore
+export interface UsageCounter {
+  // Calls in the token bucket not yet refilled, as of updatedAt
+  level: number;
+  updatedAt: number; // Epoch milliseconds
+  // UTC day (YYYY-MM-DD) and number of calls made on it
+  day: string;
+  dayCount: number;
+}
+
+// Which limit rejected a call
+export type UsageLimitKind = "rate" | "quota";
+
+export type UsageCheck =
+  | { ok: true }
+  | { ok: false; key: string; limit: UsageLimitKind; retryAfterMs: number };
+
+// A counter to charge for a call, and its limits
+export interface UsageCharge {
+  key: string;
+  limit: UsageLimit;
+}
+
+const MINUTE_MS = 60 * 1000;
+
+function utcDay(now: number): string {
+  return new Date(now).toISOString().substring(0, 10);
+}
+
+/**
+ * Bring a counter up to date: drain the bucket and start a new day
+ */
+function currentCounter(
+  counter: UsageCounter | undefined,
+  limit: UsageLimit,
+  now: number
+): UsageCounter {
+  const day = utcDay(now);
+  if (!counter) {
+    return { level: 0, updatedAt: now, day, dayCount: 0 };
+  }
+  const elapsed = Math.max(0, now - counter.updatedAt);
+  const drained =
+    limit.perMinute > 0 ? (elapsed * limit.perMinute) / MINUTE_MS : Infinity;
+  return {
+    level: Math.max(0, counter.level - drained),
+    updatedAt: now,
+    day,
+    dayCount: counter.day === day ? counter.dayCount : 0,
+  };
+}
+
+/**
+ * Check whether one more call fits within a counter's limits
+ */
+export function checkUsage(
+  counter: UsageCounter | undefined,
+  charge: UsageCharge,
+  now: number
+): UsageCheck {
+  const { limit } = charge;
+  const current = currentCounter(counter, limit, now);
+  if (limit.perDay > 0 && current.dayCount >= limit.perDay) {
+    const nextDay =
+      Date.parse(`${current.day}T00:00:00.000Z`) + 24 * 60 * MINUTE_MS;
+    return {
+      ok: false,
+      key: charge.key,
+      limit: "quota",
+      retryAfterMs: nextDay - now,
+    };
+  }
+  if (limit.perMinute > 0 && current.level + 1 > limit.perMinute) {
+    return {
+      ok: false,
+      key: charge.key,
+      limit: "rate",
+      retryAfterMs: Math.ceil(
+        ((current.level + 1 - limit.perMinute) * MINUTE_MS) / limit.perMinute
+      ),
+    };
+  }
+  return { ok: true };
+}
+
+/**
+ * Count one call; the call must have passed checkUsage
+ */
+export function consumeUsage(
+  counter: UsageCounter | undefined,
+  charge: UsageCharge,
+  now: number
+): UsageCounter {
+  const current = currentCounter(counter, charge.limit, now);
+  return {
+    ...current,
+    level: current.level + 1,
+    dayCount: current.dayCount + 1,
+  };
+}
+
+/**
+ * Whether a counter no longer limits anything and can be dropped
+ */
+export function isUsageCounterIdle(
+  counter: UsageCounter,
+  now: number
+): boolean {
+  // Any bucket has drained after a minute
+  return now - counter.updatedAt >= MINUTE_MS && counter.day !== utcDay(now);
+}
+
+// Usage store interface: call counters for rate limits and quotas
+export interface UsageStore {
+  /**
+   * Atomically check every charge and, only if all of them fit, count the call
+   * on each counter. Returns the rejection that lasts longest otherwise.
+   */
+  consume(charges: UsageCharge[]): Promise<UsageCheck>;
+}
+
+/**
+ * Check charges against counters and apply them; shared by the store implementations
+ */
+export function applyCharges(
+  counters: Record<string, UsageCounter>,
+  charges: UsageCharge[],
+  now: number
+): UsageCheck {
+  let rejection: UsageCheck = { ok: true };
+  for (const charge of charges) {
+    const check = checkUsage(counters[charge.key], charge, now);
+    if (
+      !check.ok &&
+      (rejection.ok || check.retryAfterMs > rejection.retryAfterMs)
+    ) {
+      rejection = check;
+    }
+  }
+  if (!rejection.ok) {
+    return rejection;
+  }
+  for (const charge of charges) {
+    counters[charge.key] = consumeUsage(counters[charge.key], charge, now);
+  }
+  return rejection;
+}
+
+// In-memory usage store (counters are lost on restart)
+export class InMemoryUsageStore implements UsageStore {
+  private counters: Record<string, UsageCounter> = {};
+  private lastPrune = 0;
+
+  async consume(charges: UsageCharge[]): Promise<UsageCheck> {
+    // No await in between, so this is atomic on the event loop
+    const now = Date.now();
+    if (now - this.lastPrune > MINUTE_MS) {
+      for (const [key, counter] of Object.entries(this.counters)) {
+        if (isUsageCounterIdle(counter, now)) {
+          delete this.counters[key];
+        }
+      }
+      this.lastPrune = now;
+    }
+    return applyCharges(this.counters, charges, now);
+  }
+}
@@ -0,0 +1,265 @@
+import { promises as fs } from "fs";
+import { ethers } from "ethers";
+import { canonicalize } from "deproof-shared";
+import {
+  AUDIT_GENESIS_HASH,
+  AuditEntry,
+  AuditHead,
+  auditEntryHash,
+  auditHeadPath,
+  auditHeadSigningPayload,
+  auditParamsDigest,
+} from "./audit-log.js";
+import {
+  DEPROOF_EIP712_DOMAIN,
+  DEPROOF_EIP712_TYPES,
+  eip191SigningData,
+} from "./secure-validator.js";
+
+const USAGE =
+  "Usage: npm run verify-audit-log -- <audit log file> [--signer <server address>]";
+
+/**
+ * Replay an audit log: check every chain link and entry hash, re-check the
+ * DeProof signature of every call that passed validation, and check that the
+ * log reaches its signed head
+ *
+ * Usage: npm run verify-audit-log -- <audit log file> [--signer <server address>]
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const signerIndex = args.indexOf("--signer");
+  const expectedSigner = signerIndex >= 0 ? args[signerIndex + 1] : null;
+  if (signerIndex >= 0) {
+    args.splice(signerIndex, 2);
+  }
+  const filePath = args[0];
+  if (!filePath || args.length > 1 || expectedSigner === undefined) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const lines = (await fs.readFile(filePath, "utf8")).split("\n");
+  if (lines[lines.length - 1] === "") {
+    lines.pop();
+  }
+
+  const problems: string[] = [];
+  let expectedSeq = 0;
+  let prevHash = AUDIT_GENESIS_HASH;
+  let entries = 0;
+  const hashes = new Map<number, string>();
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+    let entry: AuditEntry;
+    try {
+      entry = JSON.parse(line) as AuditEntry;
+    } catch {
+      problems.push(`line ${lineNumber}: not a valid JSON entry`);
+      return;
+    }
+    entries++;
+
+    if (entry.seq !== expectedSeq) {
+      problems.push(
+        `line ${lineNumber}: expected seq ${expectedSeq}, found ${entry.seq} (entries missing or reordered)`
+      );
+    } else if (entry.prevHash !== prevHash) {
+      problems.push(
+        `line ${lineNumber}: seq ${entry.seq} does not link to the previous entry`
+      );
+    }
+    if (auditEntryHash(entry) !== entry.hash) {
+      problems.push(
+        `line ${lineNumber}: seq ${entry.seq} was modified (hash mismatch)`
+      );
+    }
+    const signatureProblem = checkSignature(entry);
+    if (signatureProblem) {
+      problems.push(`line ${lineNumber}: seq ${entry.seq} ${signatureProblem}`);
+    }
+
+    // Continue from what the entry claims, so one edit is reported once
+    expectedSeq = entry.seq + 1;
+    prevHash = entry.hash;
+    hashes.set(entry.seq, entry.hash);
+  });
+
+  const head = await readHead(filePath);
+  if (!head) {
+    console.warn(
+      `No signed head (${auditHeadPath(
+        filePath
+      )}): entries removed from the end cannot be detected`
+    );
+  } else {
+    problems.push(...checkHead(head, hashes, expectedSigner));
+    if (head.seq < expectedSeq - 1) {
+      console.warn(
+        `${expectedSeq - 1 - head.seq} entries after the signed head (seq ${
+          head.seq
+        }) are not anchored yet`
+      );
+    }
+  }
+
+  if (problems.length > 0) {
+    console.error(
+      `Audit log verification failed (${problems.length} problems in ${entries} entries):`
+    );
+    problems.forEach((problem) => console.error(`  - ${problem}`));
+    process.exit(1);
+  }
+  console.log(
+    `Audit log OK: ${entries} entries, head hash ${prevHash}${
+      head ? `, head signed by ${head.signerAddress}` : ""
+    }`
+  );
+}
+
+async function readHead(filePath: string): Promise<AuditHead | null> {
+  let raw: string;
+  try {
+    raw = await fs.readFile(auditHeadPath(filePath), "utf8");
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+  return JSON.parse(raw) as AuditHead;
+}
+
+/**
+ * Check the head's signature and that the log reaches it
+ * Returns the problems found
+ */
+function checkHead(
+  head: AuditHead,
+  hashes: Map<number, string>,
+  expectedSigner: string | null
+): string[] {
+  const problems: string[] = [];
+  try {
+    const recovered = ethers.utils.verifyMessage(
+      ethers.utils.arrayify(
+        ethers.utils.keccak256(Buffer.from(auditHeadSigningPayload(head)))
+      ),
+      "0x" + head.signature
+    );
+    if (recovered.toLowerCase() !== head.signerAddress.toLowerCase()) {
+      problems.push(`signed head: signature recovers ${recovered}`);
+    }
+  } catch (error) {
+    problems.push(
+      `signed head: signature cannot be checked: ${
+        error instanceof Error ? error.message : String(error)
+      }`
+    );
+  }
+  if (
+    expectedSigner &&
+    head.signerAddress.toLowerCase() !== expectedSigner.toLowerCase()
+  ) {
+    problems.push(
+      `signed head: signed by ${head.signerAddress}, expected ${expectedSigner}`
+    );
+  }
+  const hash = hashes.get(head.seq);
+  if (hash === undefined) {
+    problems.push(
+      `signed head: the log does not reach seq ${head.seq} (entries removed from the end)`
+    );
+  } else if (hash !== head.hash) {
+    problems.push(`signed head: seq ${head.seq} does not match the head hash`);
+  }
+  return problems;
+}
+
+/**
+ * Re-check the DeProof signature of a call that passed validation
+ * Returns a description of the problem, or null
+ */
+function checkSignature(entry: AuditEntry): string | null {
+  // Rejected calls are logged as received, their proofs may well be invalid
+  if (entry.outcome === "rejected") {
+    return null;
+  }
+  if (!entry.signerAddress || !entry.digest || !entry.signature) {
+    return "passed validation but has no proof";
+  }
+  // Entries written before the arguments were logged have none
+  const paramsLogged = entry.params !== undefined && entry.params !== null;
+  if (paramsLogged && auditParamsDigest(entry.params) !== entry.paramsDigest) {
+    return "arguments do not match paramsDigest";
+  }
+
+  try {
+    let recovered: string;
+    if (entry.scheme === "eip712") {
+      // The typed data can be rebuilt from the logged fields
+      const digest = ethers.utils._TypedDataEncoder.hash(
+        DEPROOF_EIP712_DOMAIN,
+        DEPROOF_EIP712_TYPES,
+        {
+          signer: entry.signerAddress,
+          audience: entry.audience,
+          tool: entry.tool,
+          method: entry.method,
+          session: entry.session,
+          nonce: entry.nonce,
+          timestamp: entry.timestamp,
+          paramsHash: "0x" + entry.paramsDigest,
+        }
+      );
+      if (digest.slice(2) !== entry.digest) {
+        return "digest does not match the logged call";
+      }
+      recovered = ethers.utils.recoverAddress(digest, "0x" + entry.signature);
+    } else {
+      // EIP-191 digests cover the canonical call data, rebuilt from the logged arguments
+      if (!paramsLogged) {
+        return "signature not bound to entry (arguments not logged)";
+      }
+      const digest = ethers.utils.keccak256(
+        Buffer.from(
+          canonicalize(
+            eip191SigningData(
+              {
+                version: entry.version ?? undefined,
+                tool: entry.tool,
+                method: entry.method,
+                audience: entry.audience,
+                nonce: entry.nonce as number,
+                session: entry.session as string,
+                timestamp: entry.timestamp as string,
+              },
+              entry.params
+            )
+          )
+        )
+      );
+      if (digest.slice(2) !== entry.digest) {
+        return "digest does not match the logged call";
+      }
+      recovered = ethers.utils.verifyMessage(
+        ethers.utils.arrayify(digest),
+        "0x" + entry.signature
+      );
+    }
+    if (recovered.toLowerCase() !== entry.signerAddress.toLowerCase()) {
+      return `signature recovers ${recovered}, not ${entry.signerAddress}`;
+    }
+  } catch (error) {
+    return `signature cannot be checked: ${
+      error instanceof Error ? error.message : String(error)
+    }`;
+  }
+  return null;
+}
+
+main().catch((error) => {
+  console.error("Audit log verification failed:", error);
+  process.exit(2);
+});
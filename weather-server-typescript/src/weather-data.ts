@@ -0,0 +1,381 @@
+import { z } from "zod";
+
+/**
+ * NWS API response types, the structured results of the weather tools and
+ * their text rendering. Every tool returns the structured result as
+ * structuredContent (following the tool's output schema) and its text as the
+ * content block, so both always carry the same data.
+ */
+
+export type Units = "imperial" | "metric";
+
+// Input parameter shared by the tools that return measurements
+export const unitsSchema = z
+  .enum(["imperial", "metric"])
+  .optional()
+  .describe(
+    "Units of the result: imperial (°F, mph, inHg, mi; default) or metric (°C, km/h, hPa, km)"
+  );
+
+// Unit of each kind of measurement in a result
+const UNIT_LABELS = {
+  imperial: {
+    temperature: "F",
+    speed: "mph",
+    pressure: "inHg",
+    distance: "mi",
+  },
+  metric: { temperature: "C", speed: "km/h", pressure: "hPa", distance: "km" },
+} as const;
+
+// NWS API responses (only the fields used here)
+
+export interface AlertFeature {
+  properties: {
+    event?: string;
+    areaDesc?: string;
+    severity?: string;
+    urgency?: string;
+    certainty?: string;
+    status?: string;
+    headline?: string;
+    description?: string;
+    instruction?: string | null;
+    onset?: string | null;
+    expires?: string | null;
+  };
+}
+
+export interface AlertsResponse {
+  features: AlertFeature[];
+}
+
+// A measurement; value is null when it was not reported
+export interface QuantitativeValue {
+  value?: number | null;
+  unitCode?: string;
+}
+
+export interface ForecastPeriod {
+  name?: string;
+  startTime?: string;
+  endTime?: string;
+  isDaytime?: boolean;
+  temperature?: number;
+  temperatureUnit?: string;
+  windSpeed?: string;
+  windDirection?: string;
+  shortForecast?: string;
+  detailedForecast?: string;
+  probabilityOfPrecipitation?: QuantitativeValue;
+  relativeHumidity?: QuantitativeValue;
+}
+
+export interface PointsResponse {
+  properties: {
+    forecast?: string;
+    forecastHourly?: string;
+    observationStations?: string;
+  };
+}
+
+export interface ForecastResponse {
+  properties: {
+    periods: ForecastPeriod[];
+  };
+}
+
+export interface StationsResponse {
+  features: {
+    properties: {
+      stationIdentifier?: string;
+      name?: string;
+    };
+  }[];
+}
+
+export interface ObservationResponse {
+  properties: {
+    timestamp?: string;
+    textDescription?: string;
+    temperature?: QuantitativeValue;
+    dewpoint?: QuantitativeValue;
+    relativeHumidity?: QuantitativeValue;
+    windDirection?: QuantitativeValue;
+    windSpeed?: QuantitativeValue;
+    windGust?: QuantitativeValue;
+    barometricPressure?: QuantitativeValue;
+    visibility?: QuantitativeValue;
+  };
+}
+
+// Structured results (output schemas of the tools)
+
+const alertSchema = z.object({
+  event: z.string().nullable(),
+  areaDesc: z.string().nullable(),
+  severity: z.string().nullable(),
+  urgency: z.string().nullable(),
+  certainty: z.string().nullable(),
+  status: z.string().nullable(),
+  headline: z.string().nullable(),
+  description: z.string().nullable(),
+  instruction: z.string().nullable(),
+  onset: z.string().nullable().describe("ISO 8601"),
+  expires: z.string().nullable().describe("ISO 8601"),
+});
+
+export const alertsOutputShape = {
+  area: z.string().describe("State, zone or location the alerts are for"),
+  alerts: z.array(alertSchema),
+};
+
+const forecastPeriodSchema = z.object({
+  name: z.string().nullable(),
+  startTime: z.string().nullable().describe("ISO 8601"),
+  endTime: z.string().nullable().describe("ISO 8601"),
+  isDaytime: z.boolean().nullable(),
+  temperature: z.number().nullable(),
+  temperatureUnit: z.enum(["F", "C"]),
+  windSpeed: z.string().nullable().describe('e.g. "5 to 10 mph"'),
+  windDirection: z.string().nullable(),
+  shortForecast: z.string().nullable(),
+  detailedForecast: z.string().nullable(),
+  probabilityOfPrecipitation: z.number().nullable().describe("Percent"),
+  relativeHumidity: z.number().nullable().describe("Percent"),
+});
+
+export const forecastOutputShape = {
+  latitude: z.number(),
+  longitude: z.number(),
+  units: z.enum(["imperial", "metric"]),
+  periods: z.array(forecastPeriodSchema),
+};
+
+export const observationOutputShape = {
+  station: z.object({ id: z.string(), name: z.string().nullable() }),
+  timestamp: z.string().nullable().describe("ISO 8601"),
+  units: z.enum(["imperial", "metric"]),
+  textDescription: z.string().nullable(),
+  temperature: z.number().nullable().describe("°F or °C"),
+  dewpoint: z.number().nullable().describe("°F or °C"),
+  relativeHumidity: z.number().nullable().describe("Percent"),
+  windSpeed: z.number().nullable().describe("mph or km/h"),
+  windGust: z.number().nullable().describe("mph or km/h"),
+  windDirection: z.number().nullable().describe("Degrees"),
+  barometricPressure: z.number().nullable().describe("inHg or hPa"),
+  visibility: z.number().nullable().describe("mi or km"),
+};
+
+export type AlertsResult = z.infer<z.ZodObject<typeof alertsOutputShape>>;
+export type AlertData = AlertsResult["alerts"][number];
+export type ForecastResult = z.infer<z.ZodObject<typeof forecastOutputShape>>;
+export type ForecastPeriodData = ForecastResult["periods"][number];
+export type ObservationData = z.infer<
+  z.ZodObject<typeof observationOutputShape>
+>;
+
+// Conversion
+
+function round(value: number, digits: number): number {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Metric value of a measurement: °C, km/h, hPa, km, or as reported for other units
+function toMetric(quantity: QuantitativeValue | undefined): number | null {
+  const value = quantity?.value;
+  if (value == null) {
+    return null;
+  }
+  switch (quantity?.unitCode) {
+    case "wmoUnit:degF":
+      return ((value - 32) * 5) / 9;
+    case "wmoUnit:m_s-1":
+      return value * 3.6;
+    case "wmoUnit:Pa":
+      return value / 100;
+    case "wmoUnit:m":
+      return value / 1000;
+    default:
+      return value;
+  }
+}
+
+type Measurement = "temperature" | "speed" | "pressure" | "distance" | "other";
+
+function convert(
+  quantity: QuantitativeValue | undefined,
+  kind: Measurement,
+  units: Units
+): number | null {
+  const metric = toMetric(quantity);
+  if (metric === null) {
+    return null;
+  }
+  if (units === "metric" || kind === "other") {
+    return round(metric, 1);
+  }
+  switch (kind) {
+    case "temperature":
+      return round((metric * 9) / 5 + 32, 1);
+    case "speed":
+      return round(metric / 1.609344, 1);
+    case "pressure":
+      return round(metric / 33.8639, 2);
+    case "distance":
+      return round(metric / 1.609344, 1);
+  }
+}
+
+export function toAlert(feature: AlertFeature): AlertData {
+  const props = feature.properties;
+  return {
+    event: props.event ?? null,
+    areaDesc: props.areaDesc ?? null,
+    severity: props.severity ?? null,
+    urgency: props.urgency ?? null,
+    certainty: props.certainty ?? null,
+    status: props.status ?? null,
+    headline: props.headline ?? null,
+    description: props.description ?? null,
+    instruction: props.instruction ?? null,
+    onset: props.onset ?? null,
+    expires: props.expires ?? null,
+  };
+}
+
+/**
+ * Structured forecast period; the NWS already returns it in the requested units
+ */
+export function toForecastPeriod(
+  period: ForecastPeriod,
+  units: Units
+): ForecastPeriodData {
+  return {
+    name: period.name || null,
+    startTime: period.startTime ?? null,
+    endTime: period.endTime ?? null,
+    isDaytime: period.isDaytime ?? null,
+    temperature: period.temperature ?? null,
+    temperatureUnit: UNIT_LABELS[units].temperature,
+    windSpeed: period.windSpeed ?? null,
+    windDirection: period.windDirection ?? null,
+    shortForecast: period.shortForecast ?? null,
+    detailedForecast: period.detailedForecast ?? null,
+    probabilityOfPrecipitation:
+      period.probabilityOfPrecipitation?.value ?? null,
+    relativeHumidity: period.relativeHumidity?.value ?? null,
+  };
+}
+
+export function toObservation(
+  station: { id: string; name: string | null },
+  observation: ObservationResponse,
+  units: Units
+): ObservationData {
+  const props = observation.properties;
+  return {
+    station,
+    timestamp: props.timestamp ?? null,
+    units,
+    textDescription: props.textDescription || null,
+    temperature: convert(props.temperature, "temperature", units),
+    dewpoint: convert(props.dewpoint, "temperature", units),
+    relativeHumidity: convert(props.relativeHumidity, "other", units),
+    windSpeed: convert(props.windSpeed, "speed", units),
+    windGust: convert(props.windGust, "speed", units),
+    windDirection: convert(props.windDirection, "other", units),
+    barometricPressure: convert(props.barometricPressure, "pressure", units),
+    visibility: convert(props.visibility, "distance", units),
+  };
+}
+
+// Text rendering
+
+// Format alert data
+export function formatAlert(alert: AlertData): string {
+  return [
+    `Event: ${alert.event || "Unknown"}`,
+    `Area: ${alert.areaDesc || "Unknown"}`,
+    `Severity: ${alert.severity || "Unknown"}`,
+    `Status: ${alert.status || "Unknown"}`,
+    `Headline: ${alert.headline || "No headline"}`,
+    ...(alert.onset || alert.expires
+      ? [
+          `From ${alert.onset || "now"} until ${
+            alert.expires || "further notice"
+          }`,
+        ]
+      : []),
+    ...(alert.instruction ? [`Instructions: ${alert.instruction}`] : []),
+    "---",
+  ].join("\n");
+}
+
+export function formatAlerts(result: AlertsResult): string {
+  if (result.alerts.length === 0) {
+    return `No active alerts for ${result.area}`;
+  }
+  return `Active alerts for ${result.area}:\n\n${result.alerts
+    .map(formatAlert)
+    .join("\n")}`;
+}
+
+// Format a forecast period (12-hour periods of get-forecast)
+export function formatForecastPeriod(period: ForecastPeriodData): string {
+  return [
+    `${period.name || "Unknown"}:`,
+    `Temperature: ${period.temperature ?? "Unknown"}°${period.temperatureUnit}`,
+    `Wind: ${period.windSpeed || "Unknown"} ${period.windDirection || ""}`,
+    ...(period.probabilityOfPrecipitation != null
+      ? [`Precipitation: ${period.probabilityOfPrecipitation}%`]
+      : []),
+    `${period.shortForecast || "No forecast available"}`,
+    "---",
+  ].join("\n");
+}
+
+// Format one hourly forecast period
+export function formatHourlyPeriod(period: ForecastPeriodData): string {
+  return [
+    `${period.startTime || "Unknown"}:`,
+    `${period.temperature ?? "Unknown"}°${period.temperatureUnit},`,
+    `wind ${period.windSpeed || "Unknown"} ${period.windDirection || ""},`,
+    period.shortForecast || "No forecast available",
+    period.probabilityOfPrecipitation != null
+      ? `(${period.probabilityOfPrecipitation}% precipitation)`
+      : "",
+    period.relativeHumidity != null
+      ? `(${period.relativeHumidity}% humidity)`
+      : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+// Format observation data
+export function formatObservation(observation: ObservationData): string {
+  const labels = UNIT_LABELS[observation.units];
+  const show = (value: number | null, suffix: string) =>
+    value === null ? "Not reported" : `${value}${suffix}`;
+  const station = observation.station.name
+    ? `${observation.station.id} (${observation.station.name})`
+    : observation.station.id;
+  return [
+    `Latest observation at ${station} (${
+      observation.timestamp || "Unknown time"
+    }):`,
+    `Conditions: ${observation.textDescription || "Not reported"}`,
+    `Temperature: ${show(observation.temperature, `°${labels.temperature}`)}`,
+    `Dewpoint: ${show(observation.dewpoint, `°${labels.temperature}`)}`,
+    `Relative humidity: ${show(observation.relativeHumidity, "%")}`,
+    `Wind: ${show(observation.windSpeed, ` ${labels.speed}`)} from ${show(
+      observation.windDirection,
+      "°"
+    )}`,
+    `Gusts: ${show(observation.windGust, ` ${labels.speed}`)}`,
+    `Pressure: ${show(observation.barometricPressure, ` ${labels.pressure}`)}`,
+    `Visibility: ${show(observation.visibility, ` ${labels.distance}`)}`,
+  ].join("\n");
+}
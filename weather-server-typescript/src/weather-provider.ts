@@ -0,0 +1,56 @@
+import {
+  AlertData,
+  ForecastPeriodData,
+  ObservationData,
+  Units,
+} from "./weather-data.js";
+
+// Where alerts are requested for
+export type AlertArea =
+  | { state: string }
+  | { zone: string }
+  | { latitude: number; longitude: number };
+
+/**
+ * Source of the data behind the weather tools.
+ *
+ * Results are the tools' structured results (see weather-data.ts), already in
+ * the requested units. Methods throw an Error whose message tells the user why
+ * there is no data (e.g. a location the provider does not cover); the tools
+ * report it as a failed tool call. A provider that cannot serve a kind of
+ * request (e.g. NWS zones outside the US) throws as well.
+ *
+ * The signal is aborted when the tool call is cancelled or times out; methods
+ * then stop their requests and reject with the signal's reason.
+ */
+export interface WeatherProvider {
+  // Shown in logs
+  readonly name: string;
+
+  getAlerts(area: AlertArea, signal?: AbortSignal): Promise<AlertData[]>;
+
+  // Forecast periods (12-hour periods for the NWS)
+  getForecast(
+    latitude: number,
+    longitude: number,
+    units: Units,
+    signal?: AbortSignal
+  ): Promise<ForecastPeriodData[]>;
+
+  // Hourly forecast, starting with the current hour
+  getHourlyForecast(
+    latitude: number,
+    longitude: number,
+    hours: number,
+    units: Units,
+    signal?: AbortSignal
+  ): Promise<ForecastPeriodData[]>;
+
+  // Latest observation from the station nearest to the location
+  getObservation(
+    latitude: number,
+    longitude: number,
+    units: Units,
+    signal?: AbortSignal
+  ): Promise<ObservationData>;
+}